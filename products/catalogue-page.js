@@ -0,0 +1,140 @@
+// ============================================================
+// Catalogue Page Module
+// Print-ready price list of the products chosen on the listing
+// (catalogue.html?ids=3,1,8), for Save as PDF
+// ============================================================
+
+const CataloguePage = (() => {
+    const { escapeHtml } = UIManager;
+
+    let products = [];
+
+    /**
+     * Initialize the catalogue page
+     */
+    const init = async () => {
+        const allProducts = await ProductManager.loadProducts();
+        // primary images come from the manifest when it is available
+        await Carousel.loadManifest();
+
+        products = readProducts(allProducts);
+        render();
+
+        const printBtn = document.getElementById('printCatalogueBtn');
+        if (printBtn) {
+            printBtn.addEventListener('click', () => window.print());
+        }
+
+        document.addEventListener('pricing:change', render);
+    };
+
+    /**
+     * Products listed in `?ids=`, in that order; the whole catalogue
+     * (A-Z) without the parameter
+     */
+    const readProducts = (allProducts) => {
+        const ids = new URLSearchParams(window.location.search).get('ids');
+        if (ids === null) {
+            return [...allProducts].sort((a, b) => a.name.localeCompare(b.name));
+        }
+        return [...new Set(ids.split(','))]
+            .map(id => ProductManager.getById(id))
+            .filter(Boolean);
+    };
+
+    /**
+     * Render the letterhead details and one block per product
+     */
+    const render = () => {
+        const container = document.getElementById('catalogueProducts');
+        if (!container) return;
+
+        const isEmpty = products.length === 0;
+        document.getElementById('catalogueSheet').hidden = isEmpty;
+        document.getElementById('catalogueEmpty').hidden = !isEmpty;
+        document.getElementById('printCatalogueBtn').disabled = isEmpty;
+        document.getElementById('catalogueSummary').textContent =
+            `${products.length} product${products.length === 1 ? '' : 's'} · prices in ${Pricing.getCurrency()}`;
+
+        document.getElementById('catalogueDate').textContent = new Intl.DateTimeFormat(navigator.language || 'en-IN', {
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric'
+        }).format(new Date());
+        // GST is only added for products with a known rate
+        const withGst = products.some(product => Pricing.includesGst(product));
+        document.getElementById('cataloguePricing').textContent =
+            `Prices in ${Pricing.getCurrency()}, ${withGst ? 'including GST where the rate is known' : 'excluding GST'}`;
+
+        container.innerHTML = products.map(createEntry).join('');
+    };
+
+    const createEntry = (product) => {
+        const meta = [
+            product.category || 'Medicine',
+            product.dosageForm,
+            product.packSize,
+            ProductSchema.PRESCRIPTION_LABELS[product.prescription]
+        ].filter(Boolean);
+
+        return `
+            <section class="catalogue-item">
+                <img class="catalogue-image" src="${Carousel.primaryImageUrl(product.icon)}" alt="${escapeHtml(product.name)}">
+                <div class="catalogue-body">
+                    <h2>${escapeHtml(product.name)}</h2>
+                    <p class="catalogue-meta">${meta.map(escapeHtml).join(' · ')}</p>
+                    <p>${escapeHtml(product.description)}</p>
+                    ${createComposition(product.ingredients)}
+                    ${product.indications.length > 0 ? `<p><strong>Indications:</strong> ${product.indications.map(escapeHtml).join(', ')}</p>` : ''}
+                    <div class="catalogue-price">
+                        ${UIManager.createPriceTag(product)}
+                        <span>Min. order: ${product.moq} unit${product.moq === 1 ? '' : 's'}</span>
+                        ${createTiers(product)}
+                    </div>
+                </div>
+            </section>
+        `;
+    };
+
+    const createComposition = (ingredients) => {
+        if (ingredients.length === 0) return '';
+        return `
+            <table class="catalogue-composition">
+                <thead>
+                    <tr><th scope="col">Composition</th><th scope="col">Strength</th></tr>
+                </thead>
+                <tbody>
+                    ${ingredients.map(ingredient => `
+                        <tr>
+                            <td>${escapeHtml(ingredient.name)}</td>
+                            <td>${escapeHtml(ProductSchema.formatStrength(ingredient)) || '—'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    };
+
+    /**
+     * "100–999: ₹235.00 · 1000+: ₹220.00" for products with quantity pricing
+     */
+    const createTiers = (product) => {
+        if (!Pricing.hasTiers(product)) return '';
+        const bands = Pricing.getTiers(product).map(tier => {
+            const range = tier.maxQuantity === null ? `${tier.minQuantity}+` : `${tier.minQuantity}–${tier.maxQuantity}`;
+            return `${range}: ${Pricing.format(tier.unitPrice)}`;
+        });
+        return `<span class="catalogue-tiers">${escapeHtml(bands.join(' · '))}</span>`;
+    };
+
+    return {
+        init
+    };
+})();
+
+/**
+ * Initialize page on DOMContentLoaded
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    CataloguePage.init();
+});
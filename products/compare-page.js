@@ -0,0 +1,176 @@
+// ============================================================
+// Product Comparison Page Module
+// Lays out the products chosen with "Compare" in aligned columns
+// ============================================================
+
+const ComparePage = (() => {
+    /**
+     * Compared attributes. `value` is the plain text used to detect
+     * differences; `html` renders the cell (defaults to the escaped value).
+     * Rows with `present` are left out unless a compared product has data.
+     */
+    const ROWS = [
+        { label: 'Category', value: product => product.category || 'Medicine' },
+        {
+            label: 'Price',
+            value: product => `${Pricing.formatProductPrice(product)} ${Pricing.gstNote(product)}`,
+            html: product => UIManager.createPriceTag(product)
+        },
+        { label: 'Min. Order', value: product => `${product.moq} unit${product.moq === 1 ? '' : 's'}` },
+        { label: 'Dosage Form', value: product => product.dosageForm || '—' },
+        { label: 'Pack Size', value: product => product.packSize || '—' },
+        { label: 'Prescription', value: product => ProductSchema.PRESCRIPTION_LABELS[product.prescription] || '—', present: product => Boolean(product.prescription) },
+        {
+            label: 'Composition',
+            value: product => product.ingredients
+                .map(ingredient => [ingredient.name, ProductSchema.formatStrength(ingredient)].filter(Boolean).join(' '))
+                .join('; ') || '—',
+            html: product => createList(product.ingredients
+                .map(ingredient => [ingredient.name, ProductSchema.formatStrength(ingredient)].filter(Boolean).join(' ')))
+        },
+        {
+            label: 'Indications',
+            value: product => product.indications.join('; ') || '—',
+            html: product => createList(product.indications),
+            present: product => product.indications.length > 0
+        },
+        { label: 'Details', value: product => product.details || '—' },
+        { label: 'Storage', value: product => product.storage || '—' }
+    ];
+
+    /**
+     * Initialize the comparison page
+     */
+    const init = async () => {
+        await ProductManager.loadProducts();
+
+        setupEventListeners();
+        render();
+
+        // re-render when the selection changes (e.g. in another tab) or
+        // prices switch currency / GST mode (differences may change)
+        document.addEventListener('compare:change', render);
+        document.addEventListener('pricing:change', render);
+    };
+
+    /**
+     * Setup all event listeners
+     */
+    const setupEventListeners = () => {
+        const container = document.getElementById('compareTable');
+        if (container) {
+            container.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-compare-remove]');
+                if (button) CompareList.remove(button.dataset.compareRemove);
+            });
+        }
+
+        const diffOnly = document.getElementById('compareDiffOnly');
+        if (diffOnly) {
+            diffOnly.addEventListener('change', applyDifferencesOnly);
+        }
+
+        const clearBtn = document.getElementById('clearCompareBtn');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', CompareList.clear);
+        }
+    };
+
+    const applyDifferencesOnly = () => {
+        const table = document.querySelector('.compare-table');
+        const diffOnly = document.getElementById('compareDiffOnly');
+        if (table && diffOnly) table.classList.toggle('differences-only', diffOnly.checked);
+    };
+
+    /**
+     * Render the comparison table, one column per product
+     */
+    const render = () => {
+        const container = document.getElementById('compareTable');
+        if (!container) return;
+
+        const products = CompareList.getIds().map(ProductManager.getById).filter(Boolean);
+        const isEmpty = products.length < 2;
+
+        document.getElementById('compareEmpty').style.display = isEmpty ? 'block' : 'none';
+        document.getElementById('compareToolbar').style.display = isEmpty ? 'none' : 'flex';
+
+        if (isEmpty) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const rows = ROWS.filter(row => !row.present || products.some(row.present));
+        container.innerHTML = `
+            <table class="compare-table">
+                <thead>
+                    <tr>
+                        <th scope="col" class="compare-corner"><span class="sr-only">Attribute</span></th>
+                        ${products.map(createHeaderCell).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr class="compare-images">
+                        <th scope="row">Images</th>
+                        ${products.map(product => `
+                            <td><div class="product-image-carousel" data-folder="${encodeURIComponent(product.icon || '')}" aria-label="${UIManager.escapeHtml(product.name)}"></div></td>
+                        `).join('')}
+                    </tr>
+                    ${rows.map(row => createRow(row, products)).join('')}
+                </tbody>
+            </table>
+        `;
+
+        applyDifferencesOnly();
+        Carousel.initAutoCarousels(container);
+    };
+
+    /**
+     * Column header: product name, remove and inquiry actions
+     */
+    const createHeaderCell = (product) => {
+        const name = UIManager.escapeHtml(product.name);
+        return `
+            <th scope="col">
+                <a class="compare-product-name" href="${SitePaths.productUrl(product)}">${name}</a>
+                <div class="compare-product-actions">
+                    <button type="button" class="btn btn-sm btn-primary" data-inquiry-add="${product.id}">Add to inquiry</button>
+                    <button type="button" class="compare-remove" data-compare-remove="${product.id}" aria-label="Remove ${name} from comparison">Remove</button>
+                </div>
+            </th>
+        `;
+    };
+
+    /**
+     * Attribute row, highlighted when the products differ
+     */
+    const createRow = (row, products) => {
+        const values = products.map(row.value);
+        const differs = new Set(values.map(value => value.toLowerCase())).size > 1;
+
+        return `
+            <tr${differs ? ' class="compare-differs"' : ''}>
+                <th scope="row">${row.label}</th>
+                ${products.map((product, index) => `
+                    <td>${row.html ? row.html(product) : UIManager.escapeHtml(values[index])}</td>
+                `).join('')}
+            </tr>
+        `;
+    };
+
+    const createList = (items) => {
+        if (items.length === 0) return '—';
+        return `<ul>${items.map(item => `<li>${UIManager.escapeHtml(item)}</li>`).join('')}</ul>`;
+    };
+
+    return {
+        init
+    };
+})();
+
+/**
+ * Initialize page on DOMContentLoaded
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    ComparePage.init();
+});
@@ -0,0 +1,136 @@
+// ============================================================
+// Inquiry Basket Page Module
+// Lists basket items with quantities and line totals
+// ============================================================
+
+const InquiryPage = (() => {
+    let allProducts = [];
+
+    /**
+     * Initialize the inquiry basket page
+     */
+    const init = async () => {
+        allProducts = await ProductManager.loadProducts();
+
+        setupEventListeners();
+        render();
+
+        // re-render when the basket changes (e.g. in another tab) or
+        // prices switch currency / GST mode
+        document.addEventListener('inquiry:change', render);
+        document.addEventListener('pricing:change', render);
+    };
+
+    /**
+     * Setup all event listeners
+     */
+    const setupEventListeners = () => {
+        const container = document.getElementById('inquiryBasket');
+        if (container) {
+            container.addEventListener('change', (e) => {
+                const input = e.target.closest('[data-quantity-for]');
+                if (input) InquiryBasket.setQuantity(input.dataset.quantityFor, input.value);
+            });
+
+            container.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-remove]');
+                if (button) InquiryBasket.remove(button.dataset.remove);
+            });
+        }
+
+        const clearBtn = document.getElementById('clearInquiryBtn');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', InquiryBasket.clear);
+        }
+    };
+
+    /**
+     * Join basket items with their catalogue records, dropping products
+     * that no longer exist in products.json. Unit prices follow the
+     * product's quantity tiers.
+     */
+    const getLines = () => InquiryBasket.getItems()
+        .map(item => ({ product: ProductManager.getById(item.id), quantity: item.quantity }))
+        .filter(line => line.product)
+        .map(line => ({ ...line, unitPrice: Pricing.priceOf(line.product, line.quantity) }))
+        .map(line => ({ ...line, total: line.unitPrice * line.quantity }));
+
+    /**
+     * Render basket table
+     */
+    const render = () => {
+        const container = document.getElementById('inquiryBasket');
+        if (!container) return;
+
+        const lines = getLines();
+        const isEmpty = lines.length === 0;
+
+        document.getElementById('inquiryEmpty').style.display = isEmpty ? 'block' : 'none';
+        document.getElementById('inquiryActions').style.display = isEmpty ? 'none' : 'flex';
+
+        if (isEmpty) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const grandTotal = lines.reduce((sum, line) => sum + line.total, 0);
+
+        container.innerHTML = `
+            <table class="inquiry-table">
+                <thead>
+                    <tr>
+                        <th scope="col">Product</th>
+                        <th scope="col" class="numeric">Unit Price</th>
+                        <th scope="col">Quantity</th>
+                        <th scope="col" class="numeric">Line Total</th>
+                        <th scope="col"><span class="sr-only">Remove</span></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${lines.map(createRow).join('')}
+                </tbody>
+                <tfoot>
+                    <tr>
+                        <td colspan="3">Estimated Total (${Pricing.getGstMode() === 'inclusive' ? 'incl.' : 'excl.'} GST)</td>
+                        <td class="numeric">${Pricing.format(grandTotal)}</td>
+                        <td></td>
+                    </tr>
+                </tfoot>
+            </table>
+        `;
+    };
+
+    /**
+     * Create a basket table row
+     */
+    const createRow = ({ product, quantity, unitPrice, total }) => {
+        const name = UIManager.escapeHtml(product.name);
+        const belowMoq = quantity < product.moq;
+        return `
+            <tr>
+                <td>
+                    <a href="${SitePaths.productUrl(product)}"><strong>${name}</strong></a>
+                    <div style="color: var(--text-secondary); font-size: 0.9rem;">${UIManager.escapeHtml(product.description)}</div>
+                </td>
+                <td class="numeric">${Pricing.format(unitPrice)} <small class="price-tax">${Pricing.gstNote(product)}</small></td>
+                <td>
+                    <input type="number" min="${product.moq}" value="${quantity}" data-quantity-for="${product.id}" aria-label="Quantity of ${name}"${belowMoq ? ` aria-describedby="moq-${product.id}"` : ''}>
+                    ${belowMoq ? `<div class="inquiry-moq" id="moq-${product.id}">Minimum order: ${product.moq} units</div>` : ''}
+                </td>
+                <td class="numeric">${Pricing.format(total)}</td>
+                <td><button type="button" class="inquiry-remove" data-remove="${product.id}" aria-label="Remove ${name}">Remove</button></td>
+            </tr>
+        `;
+    };
+
+    return {
+        init
+    };
+})();
+
+/**
+ * Initialize page on DOMContentLoaded
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    InquiryPage.init();
+});
@@ -7,21 +7,28 @@ const ProductDetailPage = (() => {
     let currentProduct = null;
     let allProducts = [];
 
+    const { escapeHtml } = UIManager;
+
     /**
      * Initialize the product detail page
      */
     const init = async () => {
         allProducts = await ProductManager.loadProducts();
-        
-        const urlParams = new URLSearchParams(window.location.search);
-        const productId = parseInt(urlParams.get('id'));
 
-        if (productId) {
-            currentProduct = ProductManager.getById(productId);
+        const requested = readRequestedProduct();
+        if (requested) {
+            currentProduct = requested.slug
+                ? ProductManager.getBySlug(requested.slug)
+                : ProductManager.getById(requested.id);
             if (currentProduct) {
+                if (requested.id) showSlugUrl();
+                Recommender.recordView(currentProduct.id);
+                RecentlyViewed.record(currentProduct.id);
                 displayProductDetail();
                 displayRelatedProducts();
-                updatePageMeta();
+                displayAlsoViewed();
+                // the page works without its meta tags
+                updatePageMeta().catch(error => console.error('Could not update page meta tags:', error));
             } else {
                 showErrorMessage('Product not found');
             }
@@ -30,6 +37,32 @@ const ProductDetailPage = (() => {
         }
     };
 
+    /**
+     * Product named by the page: `?p=r-cal-d`, a `#/r-cal-d` hash route,
+     * <body data-product-slug> on pre-rendered pages, or the old `?id=3`.
+     * Returns { slug } or { id }, or null when none is given.
+     */
+    const readRequestedProduct = () => {
+        const urlParams = new URLSearchParams(window.location.search);
+        const hashRoute = window.location.hash.match(/^#\/([\w-]+)$/);
+        const slug = urlParams.get('p') || (hashRoute && hashRoute[1]) || document.body.dataset.productSlug;
+        if (slug) return { slug };
+
+        const id = parseInt(urlParams.get('id'));
+        return id ? { id } : null;
+    };
+
+    /**
+     * Rewrite an old `?id=` link to the `?p=` slug form in the address bar,
+     * so it is what visitors copy and share from now on
+     */
+    const showSlugUrl = () => {
+        const params = new URLSearchParams(window.location.search);
+        params.delete('id');
+        params.set('p', currentProduct.slug);
+        history.replaceState(null, '', `${window.location.pathname}?${params}${window.location.hash}`);
+    };
+
     /**
      * Display product detail information
      */
@@ -49,24 +82,50 @@ const ProductDetailPage = (() => {
                             <span class="meta-label">Category</span>
                             <span class="meta-value" style="text-transform: capitalize;">${escapeHtml(product.category || 'Medicine')}</span>
                         </div>
+                        ${createMetaItem('Dosage Form', product.dosageForm)}
+                        ${createMetaItem('Pack Size', product.packSize)}
+                        ${createMetaItem('Prescription', ProductSchema.PRESCRIPTION_LABELS[product.prescription])}
                     </div>
 
                     <p class="product-description-full">
                         ${escapeHtml(product.description)}
                     </p>
 
+                    ${createCompositionTable(product.ingredients)}
+
+                    ${product.indications.length > 0 ? `
+                        <div class="product-features">
+                            <h3>Indications</h3>
+                            <ul class="feature-list">
+                                ${product.indications.map(indication => `<li>${escapeHtml(indication)}</li>`).join('')}
+                            </ul>
+                        </div>
+                    ` : ''}
+
                     <div class="product-features">
                         <h3>Key Information</h3>
                         <p>${escapeHtml(product.details)}</p>
+                        ${product.storage ? `<p><strong>Storage:</strong> ${escapeHtml(product.storage)}</p>` : ''}
                     </div>
 
                     <div class="product-price-display">
-                        ₹${product.price.toFixed(2)}
+                        ${UIManager.createPriceTag(product)}
                     </div>
 
+                    <div id="priceTiers"></div>
+
+                    <div class="inquiry-quantity">
+                        <label for="inquiryQuantity">Quantity</label>
+                        <input type="number" id="inquiryQuantity" min="${product.moq}" value="${product.moq}" inputmode="numeric">
+                        <button type="button" class="btn btn-primary" data-inquiry-add="${product.id}" data-quantity-from="#inquiryQuantity">Add to inquiry</button>
+                        ${UIManager.createCompareToggle(product.id, 'btn btn-compare')}
+                    </div>
+                    <p class="price-calculator" id="priceCalculator" aria-live="polite"></p>
+
                     <div class="action-buttons">
                         <a href="index.html" class="btn btn-primary btn-lg">Browse More Products</a>
-                        <a href="../contact/index.html" class="btn btn-secondary btn-lg">Inquire Now</a>
+                        <a href="../contact/index.html" class="btn btn-secondary btn-lg" data-inquiry-channel="whatsapp" target="_blank" rel="noopener">Inquire Now</a>
+                        <a href="../contact/index.html" class="btn btn-secondary btn-lg" data-inquiry-channel="email">Email Inquiry</a>
                     </div>
                 </div>
             </div>
@@ -74,13 +133,26 @@ const ProductDetailPage = (() => {
 
         container.innerHTML = detailHTML;
 
+        // Pre-fill WhatsApp / email inquiries with this product and quantity,
+        // priced at the matching quantity tier
+        const quantityInput = document.getElementById('inquiryQuantity');
+        const updateInquiryContext = () => {
+            InquiryComposer.setPageContext([{ product, quantity: parseInt(quantityInput.value) || product.moq }]);
+            UIManager.updateInquiryLinks();
+            updateQuantityPricing();
+        };
+        quantityInput.addEventListener('input', updateInquiryContext);
+        document.addEventListener('pricing:change', updateQuantityPricing);
+        updateInquiryContext();
+
         // Initialize main product manual carousel (user-controlled)
         (async () => {
             try {
                 const carouselContainer = container.querySelector('.product-detail-carousel');
                 if (carouselContainer) {
-                    const urls = await Carousel.probeImages(carouselContainer.dataset.folder || '');
-                    Carousel.create(carouselContainer, urls, { auto: false, controls: true, interval: 7000 });
+                    const images = await Carousel.findImages(carouselContainer.dataset.folder || '');
+                    Carousel.create(carouselContainer, images, { auto: false, controls: true, interval: 7000, size: 'full' });
+                    setupLightbox(carouselContainer, images);
                 }
             } catch (e) {
                 // ignore
@@ -89,67 +161,243 @@ const ProductDetailPage = (() => {
     };
 
     /**
-     * Display related products
+     * Render the quantity tier table and the calculator for the quantity
+     * currently entered
      */
-    const displayRelatedProducts = () => {
-        const container = document.getElementById('relatedProducts');
+    const updateQuantityPricing = () => {
         const product = currentProduct;
+        const input = document.getElementById('inquiryQuantity');
+        const calculator = document.getElementById('priceCalculator');
+        if (!input || !calculator) return;
+
+        const quantity = parseInt(input.value) || 0;
+        const tierContainer = document.getElementById('priceTiers');
+        if (tierContainer) tierContainer.innerHTML = createTierTable(product, quantity);
 
-        const related = allProducts
-            .filter(p => p.category === product.category && p.id !== product.id)
-            .slice(0, 4);
+        if (quantity < product.moq) {
+            calculator.classList.add('is-invalid');
+            calculator.textContent = `Minimum order quantity is ${product.moq} units.`;
+            return;
+        }
+
+        const unitPrice = Pricing.priceOf(product, quantity);
+        calculator.classList.remove('is-invalid');
+        calculator.innerHTML = `
+            ${quantity} × ${Pricing.format(unitPrice)} =
+            <strong>${Pricing.format(unitPrice * quantity)}</strong>
+            <small class="price-tax">${Pricing.gstNote(product)}</small>
+        `;
+    };
+
+    /**
+     * Quantity tier table, highlighting the tier `quantity` falls in
+     * (only the MOQ note when the product has a single price)
+     */
+    const createTierTable = (product, quantity) => {
+        if (!Pricing.hasTiers(product)) {
+            return product.moq > 1 ? `<p class="moq-note">Minimum order quantity: ${product.moq} units</p>` : '';
+        }
+
+        const tiers = Pricing.getTiers(product);
+        const basePrice = tiers[0].unitPrice;
+        return `
+            <div class="product-features">
+                <h3>Bulk Pricing</h3>
+                <table class="composition-table tier-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">Quantity</th>
+                            <th scope="col">Unit Price</th>
+                            <th scope="col">You Save</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${tiers.map(tier => {
+                            const active = quantity >= tier.minQuantity && (tier.maxQuantity === null || quantity <= tier.maxQuantity);
+                            const saving = basePrice > 0 ? Math.round((1 - tier.unitPrice / basePrice) * 100) : 0;
+                            return `
+                                <tr${active ? ' class="is-active" aria-current="true"' : ''}>
+                                    <td>${tier.maxQuantity === null ? `${tier.minQuantity}+` : `${tier.minQuantity}–${tier.maxQuantity}`}</td>
+                                    <td>${Pricing.format(tier.unitPrice)}</td>
+                                    <td>${saving > 0 ? `${saving}%` : '—'}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+                <p class="moq-note">${product.moq > 1 ? `Minimum order quantity: ${product.moq} units. ` : ''}Prices ${Pricing.includesGst(product) ? 'include' : 'exclude'} GST.</p>
+            </div>
+        `;
+    };
+
+    /**
+     * Open the full-screen lightbox from the main carousel, starting at
+     * the slide currently shown
+     */
+    const setupLightbox = (carouselContainer, images) => {
+        if (images.length === 0) return;
+
+        const trigger = document.createElement('button');
+        trigger.type = 'button';
+        trigger.className = 'lightbox-trigger';
+        trigger.setAttribute('aria-label', 'View images full screen');
+        trigger.textContent = '⤢';
+        carouselContainer.appendChild(trigger);
+
+        const openAtActiveSlide = () => {
+            const slides = Array.from(carouselContainer.querySelectorAll('.carousel-item'));
+            const active = slides.findIndex(slide => slide.classList.contains('active'));
+            Lightbox.open(images, Math.max(active, 0), { title: currentProduct.name });
+        };
+
+        trigger.addEventListener('click', openAtActiveSlide);
+        carouselContainer.addEventListener('click', (e) => {
+            if (e.target.closest('.carousel-image')) openAtActiveSlide();
+        });
+    };
+
+    /**
+     * Create a product meta item, or nothing when the value is unknown
+     */
+    const createMetaItem = (label, value) => {
+        if (!value) return '';
+        return `
+            <div class="meta-item">
+                <span class="meta-label">${label}</span>
+                <span class="meta-value">${escapeHtml(value)}</span>
+            </div>
+        `;
+    };
+
+    /**
+     * Create the composition table from structured ingredients
+     */
+    const createCompositionTable = (ingredients) => {
+        if (ingredients.length === 0) return '';
+        return `
+            <div class="product-features">
+                <h3>Composition</h3>
+                <table class="composition-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">Active Ingredient</th>
+                            <th scope="col">Strength</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${ingredients.map(ingredient => `
+                            <tr>
+                                <td>${escapeHtml(ingredient.name)}${ingredient.note ? ` <span class="composition-note">(${escapeHtml(ingredient.note)})</span>` : ''}</td>
+                                <td>${escapeHtml(ProductSchema.formatStrength(ingredient)) || '—'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    };
+
+    /**
+     * Display related products: curated pairings and the most similar
+     * products by category, ingredients and description
+     */
+    const displayRelatedProducts = () => {
+        const container = document.getElementById('relatedProducts');
+        const related = Recommender.related(currentProduct, 4);
 
         if (related.length === 0) {
             container.innerHTML = '<p style="grid-column: 1/-1; text-align: center; padding: 2rem; color: #666;">No related products found.</p>';
             return;
         }
 
-        container.innerHTML = related.map(p => `
-            <div class="product-card" role="listitem">
-                <div class="product-image product-image-carousel" data-folder="${encodeURIComponent(p.icon || '')}"></div>
-                <div class="product-info">
-                    <span class="product-category">${escapeHtml(p.category || 'Medicine')}</span>
-                    <h3 class="product-name">${escapeHtml(p.name)}</h3>
-                    <p class="product-description">${escapeHtml(p.description)}</p>
-                    <div class="product-price">₹${p.price.toFixed(2)}</div>
-                    <div class="product-actions">
-                        <a href="product-detail.html?id=${p.id}" class="btn btn-sm btn-secondary">View Details</a>
-                    </div>
-                </div>
-            </div>
-        `).join('');
+        container.innerHTML = related
+            .map(match => ProductCard.render(match.product, {
+                variant: 'compact',
+                notes: [{ text: match.reasons[0], className: 'product-reason' }]
+            }))
+            .join('');
 
-        // Initialize auto carousels for related products (uncontrollable by user)
-        (async () => {
-            try {
-                const nodes = container.querySelectorAll('.product-image-carousel');
-                await Promise.all(Array.from(nodes).map(async (node) => {
-                    const urls = await Carousel.probeImages(node.dataset.folder || '');
-                    Carousel.create(node, urls, { auto: true, interval: 7000, controls: false });
-                }));
-            } catch (e) {
-                // ignore
-            }
-        })();
+        // Initialize auto carousels for related products (uncontrollable by user),
+        // lazily as they scroll into view
+        Carousel.initAutoCarousels(container);
     };
 
     /**
-     * Update page meta tags
+     * Display products viewed in the same sessions as this one
+     * (the section stays hidden until there is browsing history)
      */
-    const updatePageMeta = () => {
+    const displayAlsoViewed = () => {
+        const section = document.getElementById('alsoViewedSection');
+        const container = document.getElementById('alsoViewedProducts');
+        if (!section || !container) return;
+
+        const products = Recommender.alsoViewed(currentProduct, 4);
+        section.hidden = products.length === 0;
+        if (products.length === 0) return;
+
+        container.innerHTML = products.map(p => ProductCard.render(p, { variant: 'compact' })).join('');
+        Carousel.initAutoCarousels(container);
+    };
+
+    /**
+     * Update page meta tags: title, description, canonical URL (the
+     * pre-rendered page), Open Graph / Twitter tags and JSON-LD
+     */
+    const updatePageMeta = async () => {
         const product = currentProduct;
         
         // Update page title
-        document.title = `${product.name} - R. Pharma Exports | Professional Healthcare Solutions`;
+        document.title = ProductSeo.title(product);
         
         // Update breadcrumb
         document.getElementById('breadcrumbProduct').textContent = product.name;
 
         // Update meta description
-        const metaDescription = document.querySelector('meta[name="description"]');
-        if (metaDescription) {
-            metaDescription.setAttribute('content', `${product.name} - ${product.description}. Professional pharmaceutical product from R. Pharma Exports.`);
+        setMetaTag('name', 'description', ProductSeo.description(product));
+
+        // SitePaths are relative to the base, which pre-rendered pages move up a folder
+        const absolute = (path) => new URL(path, document.baseURI).href;
+        const pageUrl = absolute(SitePaths.resolve(ProductSeo.pagePath(product)));
+        setCanonical(pageUrl);
+
+        // first carousel image, from the manifest once it has loaded
+        await Carousel.loadManifest();
+        const image = product.icon ? absolute(Carousel.primaryImageUrl(product.icon)) : null;
+
+        ProductSeo.socialTags(product, { pageUrl, image })
+            .forEach(tag => setMetaTag(tag.attribute, tag.key, tag.content));
+
+        let jsonLd = document.getElementById('productJsonLd');
+        if (!jsonLd) {
+            jsonLd = document.createElement('script');
+            jsonLd.type = 'application/ld+json';
+            jsonLd.id = 'productJsonLd';
+            document.head.appendChild(jsonLd);
+        }
+        jsonLd.textContent = JSON.stringify(ProductSeo.structuredData(product, { pageUrl, image }));
+    };
+
+    /**
+     * Create or update <meta property|name="key" content="...">
+     */
+    const setMetaTag = (attribute, key, content) => {
+        let tag = document.head.querySelector(`meta[${attribute}="${key}"]`);
+        if (!tag) {
+            tag = document.createElement('meta');
+            tag.setAttribute(attribute, key);
+            document.head.appendChild(tag);
         }
+        tag.setAttribute('content', content);
+    };
+
+    const setCanonical = (url) => {
+        let link = document.head.querySelector('link[rel="canonical"]');
+        if (!link) {
+            link = document.createElement('link');
+            link.rel = 'canonical';
+            document.head.appendChild(link);
+        }
+        link.href = url;
     };
 
     /**
@@ -166,18 +414,6 @@ const ProductDetailPage = (() => {
         `;
     };
 
-    /**
-     * Escape HTML to prevent XSS
-     */
-    const escapeHtml = (unsafe) => {
-        return unsafe
-            .replace(/&/g, "&amp;")
-            .replace(/</g, "&lt;")
-            .replace(/>/g, "&gt;")
-            .replace(/"/g, "&quot;")
-            .replace(/'/g, "&#039;");
-    };
-
     return {
         init
     };
@@ -0,0 +1,264 @@
+// ============================================================
+// Product Schema Module
+// Validates product records from products.json and normalizes them to the
+// structured shape below. Older flat records (free-text `details`, optional
+// `composition` name list) are mapped onto the same shape. Loaded before
+// script.js on every page and by scripts/prerender-products.js in Node, so
+// the site and the pre-rendered pages accept and reject the same records.
+//
+//   {
+//     id, slug, name, description, price, gstRate, moq,
+//     priceTiers: [{ minQuantity, price }], icon, category, details,
+//     ingredients: [{ name, strength, unit, note }],
+//     dosageForm, packSize, indications: [], prescription: 'rx' | 'otc' | null,
+//     storage, therapeuticArea, pairsWellWith: [ids],
+//     featured: { priority, start, end, label } | null
+//   }
+//
+// `slug` names the product in URLs (product-detail.html?p=r-cal-d and the
+// pre-rendered products/p/r-cal-d.html). It defaults to one made from the
+// name; store it in products.json so links survive renames and renumbering.
+//
+// `price` is in INR, excluding GST; `gstRate` is a percentage (null until
+// confirmed, and prices are then shown excluding GST). `price`
+// applies from the minimum order quantity (`moq`, default 1) until the
+// first of the `priceTiers`, which are sorted by `minQuantity`.
+// ============================================================
+
+const ProductSchema = (() => {
+    const PRESCRIPTION_STATUSES = ['rx', 'otc'];
+
+    // how a prescription status is shown to visitors
+    const PRESCRIPTION_LABELS = {
+        rx: 'Prescription only (Rx)',
+        otc: 'Over the counter'
+    };
+
+    // compatibility: dosage form implied by the legacy category
+    const DOSAGE_FORMS_BY_CATEGORY = {
+        tablets: 'Tablet',
+        capsules: 'Capsule',
+        syrups: 'Syrup'
+    };
+
+    const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+    const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+    const isText = (value) => typeof value === 'string';
+    const isOptionalText = (value) => value === undefined || value === null || isText(value);
+
+    /**
+     * URL slug from a product name: "R. CAL.D" -> "r-cal-d"
+     */
+    const slugify = (name) => String(name || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+
+    /**
+     * Tiers must start above the MOQ and have increasing quantities
+     */
+    const validateTiers = (tiers, moq) => {
+        if (!Array.isArray(tiers)) return ['priceTiers must be a list'];
+
+        const errors = [];
+        tiers.forEach((tier, index) => {
+            if (!tier || !Number.isInteger(tier.minQuantity) || tier.minQuantity <= moq) {
+                errors.push(`priceTiers[${index}].minQuantity must be an integer above the MOQ (${moq})`);
+            } else if (typeof tier.price !== 'number' || !Number.isFinite(tier.price) || tier.price < 0) {
+                errors.push(`priceTiers[${index}].price must be a non-negative number`);
+            }
+        });
+
+        const quantities = tiers.map(tier => tier && tier.minQuantity);
+        if (new Set(quantities).size !== quantities.length) errors.push('priceTiers quantities must be unique');
+        return errors;
+    };
+
+    /**
+     * Collect schema violations for a raw record
+     */
+    const validate = (record) => {
+        const errors = [];
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return ['record is not an object'];
+        }
+
+        if (!Number.isInteger(record.id) || record.id < 1) errors.push('id must be a positive integer');
+        if (!isText(record.name) || !record.name.trim()) errors.push('name is required');
+        if (record.slug !== undefined && !(isText(record.slug) && SLUG_PATTERN.test(record.slug))) {
+            errors.push('slug must be lowercase letters and digits separated by single hyphens');
+        }
+        if (typeof record.price !== 'number' || !Number.isFinite(record.price) || record.price < 0) {
+            errors.push('price must be a non-negative number');
+        }
+        if (record.gstRate !== undefined && (typeof record.gstRate !== 'number' || record.gstRate < 0 || record.gstRate > 100)) {
+            errors.push('gstRate must be a percentage between 0 and 100');
+        }
+        if (record.moq !== undefined && (!Number.isInteger(record.moq) || record.moq < 1)) {
+            errors.push('moq must be a positive integer');
+        }
+        if (record.priceTiers !== undefined) {
+            errors.push(...validateTiers(record.priceTiers, record.moq || 1));
+        }
+
+        ['description', 'details', 'icon', 'category', 'dosageForm', 'packSize', 'storage', 'therapeuticArea'].forEach(field => {
+            if (!isOptionalText(record[field])) errors.push(`${field} must be text`);
+        });
+
+        if (record.ingredients !== undefined) {
+            if (!Array.isArray(record.ingredients)) {
+                errors.push('ingredients must be a list');
+            } else {
+                record.ingredients.forEach((ingredient, index) => {
+                    if (!ingredient || !isText(ingredient.name) || !ingredient.name.trim()) {
+                        errors.push(`ingredients[${index}].name is required`);
+                    } else if (ingredient.strength !== undefined && (typeof ingredient.strength !== 'number' || ingredient.strength <= 0)) {
+                        errors.push(`ingredients[${index}].strength must be a positive number`);
+                    } else if (ingredient.strength !== undefined && !isText(ingredient.unit)) {
+                        errors.push(`ingredients[${index}].unit is required with a strength`);
+                    }
+                });
+            }
+        }
+
+        if (record.composition !== undefined && !(Array.isArray(record.composition) && record.composition.every(isText))) {
+            errors.push('composition must be a list of text');
+        }
+
+        if (record.indications !== undefined && !(Array.isArray(record.indications) && record.indications.every(isText))) {
+            errors.push('indications must be a list of text');
+        }
+
+        if (record.prescription !== undefined && !PRESCRIPTION_STATUSES.includes(record.prescription)) {
+            errors.push(`prescription must be one of ${PRESCRIPTION_STATUSES.join(', ')}`);
+        }
+
+        if (record.featured !== undefined && typeof record.featured !== 'boolean') {
+            const { priority, start, end, label } = record.featured || {};
+            if (!record.featured || typeof record.featured !== 'object') {
+                errors.push('featured must be true/false or { priority, start, end, label }');
+            } else if (priority !== undefined && (typeof priority !== 'number' || !Number.isFinite(priority))) {
+                errors.push('featured.priority must be a number');
+            } else if ([start, end].some(date => date !== undefined && !(isText(date) && DATE_PATTERN.test(date)))) {
+                errors.push('featured.start and featured.end must be YYYY-MM-DD dates');
+            } else if (start && end && start > end) {
+                errors.push('featured.start must not be after featured.end');
+            } else if (!isOptionalText(label)) {
+                errors.push('featured.label must be text');
+            }
+        }
+
+        if (record.pairsWellWith !== undefined && !(Array.isArray(record.pairsWellWith) && record.pairsWellWith.every(Number.isInteger))) {
+            errors.push('pairsWellWith must be a list of product ids');
+        }
+
+        return errors;
+    };
+
+    /**
+     * `featured: true` or `{ priority, start, end, label }` -> the object form
+     * (null when not featured); dates stay as YYYY-MM-DD strings
+     */
+    const normalizeFeatured = (featured) => {
+        if (!featured) return null;
+        const placement = featured === true ? {} : featured;
+        return {
+            priority: placement.priority || 0,
+            start: placement.start || null,
+            end: placement.end || null,
+            label: placement.label || null
+        };
+    };
+
+    /**
+     * Map a valid record (structured or legacy flat) onto the full schema
+     */
+    const normalize = (record) => {
+        const ingredients = Array.isArray(record.ingredients)
+            ? record.ingredients
+            : (Array.isArray(record.composition) ? record.composition.map(name => ({ name })) : []);
+
+        return {
+            ...record,
+            slug: record.slug || slugify(record.name),
+            gstRate: record.gstRate === undefined ? null : record.gstRate,
+            moq: record.moq || 1,
+            priceTiers: (record.priceTiers || [])
+                .map(tier => ({ minQuantity: tier.minQuantity, price: tier.price }))
+                .sort((a, b) => a.minQuantity - b.minQuantity),
+            description: record.description || '',
+            details: record.details || '',
+            category: record.category || '',
+            icon: record.icon || '',
+            ingredients: ingredients.map(ingredient => ({
+                name: ingredient.name.trim(),
+                strength: ingredient.strength === undefined ? null : ingredient.strength,
+                unit: ingredient.unit || null,
+                note: ingredient.note || null
+            })),
+            dosageForm: record.dosageForm || DOSAGE_FORMS_BY_CATEGORY[record.category] || null,
+            packSize: record.packSize || null,
+            indications: record.indications || [],
+            prescription: record.prescription || null,
+            storage: record.storage || null,
+            featured: normalizeFeatured(record.featured),
+            therapeuticArea: record.therapeuticArea || null,
+            pairsWellWith: (record.pairsWellWith || []).filter(id => id !== record.id)
+        };
+    };
+
+    /**
+     * Validate and normalize a list of records.
+     * Returns { products, invalid: [{ index, id, name, errors }] }
+     */
+    const parse = (records) => {
+        if (!Array.isArray(records)) {
+            return { products: [], invalid: [{ index: null, id: null, name: null, errors: ['catalogue is not a list'] }] };
+        }
+
+        const products = [];
+        const invalid = [];
+        const seenIds = new Set();
+        const seenSlugs = new Set();
+
+        records.forEach((record, index) => {
+            const errors = validate(record);
+            const slug = errors.length === 0 ? record.slug || slugify(record.name) : null;
+            if (errors.length === 0 && seenIds.has(record.id)) errors.push(`duplicate id ${record.id}`);
+            if (slug && seenSlugs.has(slug)) errors.push(`duplicate slug ${slug}`);
+
+            if (errors.length > 0) {
+                invalid.push({ index, id: record && record.id, name: record && record.name, errors });
+                return;
+            }
+            seenIds.add(record.id);
+            seenSlugs.add(slug);
+            products.push(normalize(record));
+        });
+
+        return { products, invalid };
+    };
+
+    /**
+     * Format an ingredient strength, e.g. "740 mg" (or '' when unknown)
+     */
+    const formatStrength = (ingredient) =>
+        (ingredient.strength === null ? '' : `${ingredient.strength} ${ingredient.unit}`);
+
+    return {
+        PRESCRIPTION_LABELS,
+        validate,
+        normalize,
+        parse,
+        slugify,
+        formatStrength
+    };
+})();
+
+// Node: scripts/prerender-products.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProductSchema;
+}
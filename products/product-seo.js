@@ -0,0 +1,125 @@
+// ============================================================
+// Product SEO Module
+// Title, description, canonical path, Open Graph / Twitter tags and
+// schema.org JSON-LD for a product page. Used by product-detail.js in
+// the browser and by scripts/prerender-products.js in Node, so it works
+// from the product record and the absolute URLs it is given only.
+// ============================================================
+
+const ProductSeo = (() => {
+    const SITE_NAME = 'R. Pharma Exports';
+    const CURRENCY = 'INR';
+
+    const PRESCRIPTION_STATUS = {
+        rx: 'https://schema.org/PrescriptionOnly',
+        otc: 'https://schema.org/OTC'
+    };
+
+    /**
+     * Pre-rendered page of a product, relative to the site root, named by
+     * its slug (e.g. products/p/r-cal-d.html)
+     */
+    const pagePath = (product) => `products/p/${product.slug}.html`;
+
+    const title = (product) => `${product.name} - ${SITE_NAME} | Professional Healthcare Solutions`;
+
+    const description = (product) =>
+        `${product.name} - ${product.description}. Professional pharmaceutical product from ${SITE_NAME}.`;
+
+    /**
+     * Lowest and highest unit prices in INR, excluding GST
+     */
+    const priceRange = (product) => {
+        const prices = [product.price, ...(product.priceTiers || []).map(tier => tier.price)];
+        return { low: Math.min(...prices), high: Math.max(...prices) };
+    };
+
+    const ingredientNames = (product) => (product.ingredients || []).map(ingredient => ingredient.name).filter(Boolean);
+
+    /**
+     * schema.org Product (and Drug) with an INR offer. Quantity pricing
+     * becomes an AggregateOffer from the lowest to the highest unit price.
+     */
+    const structuredData = (product, { pageUrl, image }) => {
+        const { low, high } = priceRange(product);
+        const seller = { '@type': 'Organization', name: SITE_NAME };
+        const offer = {
+            priceCurrency: CURRENCY,
+            availability: 'https://schema.org/InStock',
+            url: pageUrl,
+            seller,
+            eligibleQuantity: {
+                '@type': 'QuantitativeValue',
+                minValue: product.moq || 1,
+                unitText: 'unit'
+            }
+        };
+
+        const data = {
+            '@context': 'https://schema.org',
+            '@type': ['Product', 'Drug'],
+            '@id': pageUrl,
+            name: product.name,
+            description: product.description,
+            url: pageUrl,
+            sku: String(product.id),
+            category: product.category || 'medicine',
+            brand: { '@type': 'Brand', name: SITE_NAME },
+            manufacturer: seller,
+            offers: low === high
+                ? { '@type': 'Offer', price: low.toFixed(2), ...offer }
+                : { '@type': 'AggregateOffer', lowPrice: low.toFixed(2), highPrice: high.toFixed(2), ...offer }
+        };
+
+        if (image) data.image = [image];
+        const ingredients = ingredientNames(product);
+        if (ingredients.length > 0) data.activeIngredient = ingredients.join(', ');
+        if (product.dosageForm) data.dosageForm = product.dosageForm;
+        if (PRESCRIPTION_STATUS[product.prescription]) data.prescriptionStatus = PRESCRIPTION_STATUS[product.prescription];
+
+        return data;
+    };
+
+    /**
+     * Open Graph and Twitter card tags as [{ attribute, key, content }]:
+     * `attribute` is 'property' for Open Graph and 'name' for Twitter
+     */
+    const socialTags = (product, { pageUrl, image, imageWidth = null, imageHeight = null }) => {
+        const { low } = priceRange(product);
+        const tags = [
+            ['property', 'og:type', 'product'],
+            ['property', 'og:site_name', SITE_NAME],
+            ['property', 'og:title', `${product.name} - ${SITE_NAME}`],
+            ['property', 'og:description', description(product)],
+            ['property', 'og:url', pageUrl],
+            ['property', 'og:image', image],
+            ['property', 'og:image:alt', product.name],
+            ['property', 'og:image:width', imageWidth],
+            ['property', 'og:image:height', imageHeight],
+            ['property', 'product:price:amount', low.toFixed(2)],
+            ['property', 'product:price:currency', CURRENCY],
+            ['name', 'twitter:card', image ? 'summary_large_image' : 'summary'],
+            ['name', 'twitter:title', `${product.name} - ${SITE_NAME}`],
+            ['name', 'twitter:description', description(product)],
+            ['name', 'twitter:image', image]
+        ];
+
+        return tags
+            .filter(([, , content]) => content !== null && content !== undefined && content !== '')
+            .map(([attribute, key, content]) => ({ attribute, key, content: String(content) }));
+    };
+
+    return {
+        SITE_NAME,
+        pagePath,
+        title,
+        description,
+        structuredData,
+        socialTags
+    };
+})();
+
+// Node: scripts/prerender-products.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProductSeo;
+}
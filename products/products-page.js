@@ -7,13 +7,80 @@ const ProductsPage = (() => {
     let allProducts = [];
     let filteredProducts = [];
 
-    const filters = {
+    // product id -> rank for the active search query (null when not searching)
+    let searchRanks = null;
+
+    const DEFAULT_FILTERS = {
         search: '',
-        category: '',
-        maxPrice: 250,
-        sortBy: 'name'
+        categories: [],
+        composition: [],
+        // price limits in INR (null = no limit), compared with the
+        // "from" price as displayed, i.e. with GST in inclusive mode
+        minPrice: null,
+        maxPrice: null,
+        sortBy: 'relevance'
+    };
+
+    const SORT_OPTIONS = ['relevance', 'name', 'name-desc', 'category', 'category-desc', 'price-low', 'price-high'];
+
+    // table columns that sort when their header is clicked: [ascending, descending]
+    const COLUMN_SORTS = {
+        name: ['name', 'name-desc'],
+        category: ['category', 'category-desc'],
+        price: ['price-low', 'price-high']
     };
 
+    // card grid, list of wide cards, or a dense table; remembered per browser
+    const VIEWS = ['grid', 'list', 'table'];
+    const VIEW_STORAGE_KEY = 'rpharma:productsView';
+    const DESCRIPTION_LENGTH = 90;
+
+    // passed to matchesFilters to ignore the price limits
+    const PRICE_FILTER = 'price';
+
+    // slider bounds in the display currency, from the products matching
+    // every other filter
+    let priceBounds = { min: 0, max: 0, step: 1 };
+
+    const PAGE_SIZES = [12, 24, 48];
+    const DEFAULT_PAGE_SIZE = 12;
+
+    // search typing and slider drags settle before the listing re-renders
+    const FILTER_DEBOUNCE_MS = 200;
+
+    let currentPage = 1;
+    let pageSize = DEFAULT_PAGE_SIZE;
+    let filterTimer = null;
+    let view = 'grid';
+
+    // "view:product id" -> { card, query }: re-renders move existing card
+    // nodes instead of rebuilding them (and their image carousels)
+    const cardCache = new Map();
+
+    /**
+     * Multi-select facets, generated from the values found in products.json.
+     * Values within a facet are OR-ed; different facets are AND-ed.
+     * Selections are replaced (never mutated) so DEFAULT_FILTERS stays intact.
+     */
+    const FACETS = [
+        {
+            key: 'categories',
+            param: 'category',
+            containerId: 'categoryFacets',
+            valuesOf: (product) => [product.category || 'medicine']
+        },
+        {
+            key: 'composition',
+            param: 'composition',
+            containerId: 'compositionFacets',
+            valuesOf: (product) => product.ingredients.map(ingredient => ingredient.name)
+        }
+    ];
+
+    const filters = { ...DEFAULT_FILTERS };
+
+    const { escapeHtml } = UIManager;
+
     /**
      * Initialize the products page
      */
@@ -21,9 +88,229 @@ const ProductsPage = (() => {
         allProducts = await ProductManager.loadProducts();
         filteredProducts = [...allProducts];
 
+        const savedView = LocalStore.read(VIEW_STORAGE_KEY, 'grid');
+        view = VIEWS.includes(savedView) ? savedView : 'grid';
+
+        buildFacets();
+        readFiltersFromUrl();
+        syncControls();
         setupEventListeners();
         applyFilters();
         updateUI();
+
+        // Back/forward restores the filters encoded in that history entry
+        window.addEventListener('popstate', () => {
+            readFiltersFromUrl();
+            syncControls();
+            applyFilters();
+            updateUI();
+        });
+    };
+
+    /**
+     * Read filter and page state from the query string
+     * (?q=acid&category=capsules,tablets&composition=Zinc&min=100&max=200&sort=price-low&page=2&per=24)
+     * Price limits in the URL are always INR, whatever the display currency.
+     * Out of range pages are clamped once the results are known.
+     */
+    const readFiltersFromUrl = () => {
+        const params = new URLSearchParams(window.location.search);
+        const readPrice = (name) => {
+            const value = parseFloat(params.get(name));
+            return Number.isFinite(value) && value >= 0 ? value : null;
+        };
+        const sortBy = params.get('sort');
+        const perPage = parseInt(params.get('per'), 10);
+
+        filters.search = params.get('q') || DEFAULT_FILTERS.search;
+        FACETS.forEach(facet => {
+            const value = params.get(facet.param);
+            filters[facet.key] = value ? value.split(',').filter(Boolean) : [];
+        });
+        filters.minPrice = readPrice('min');
+        filters.maxPrice = readPrice('max');
+        filters.sortBy = SORT_OPTIONS.includes(sortBy) ? sortBy : DEFAULT_FILTERS.sortBy;
+        pageSize = PAGE_SIZES.includes(perPage) ? perPage : DEFAULT_PAGE_SIZE;
+        currentPage = Math.max(1, parseInt(params.get('page'), 10) || 1);
+    };
+
+    /**
+     * Write filter and page state to the query string, leaving defaults out.
+     * `push` adds a history entry; otherwise the current one is replaced.
+     */
+    const writeFiltersToUrl = (push = false) => {
+        const params = new URLSearchParams();
+        if (filters.search) params.set('q', filters.search);
+        FACETS.forEach(facet => {
+            if (filters[facet.key].length > 0) params.set(facet.param, filters[facet.key].join(','));
+        });
+        if (filters.minPrice !== null) params.set('min', Number(filters.minPrice.toFixed(2)));
+        if (filters.maxPrice !== null) params.set('max', Number(filters.maxPrice.toFixed(2)));
+        if (filters.sortBy !== DEFAULT_FILTERS.sortBy) params.set('sort', filters.sortBy);
+        if (currentPage > 1) params.set('page', currentPage);
+        if (pageSize !== DEFAULT_PAGE_SIZE) params.set('per', pageSize);
+
+        // keep list separators readable in shared links
+        const query = params.toString().replace(/%2C/g, ',');
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+        if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+
+        if (push) {
+            history.pushState(null, '', url);
+        } else {
+            history.replaceState(null, '', url);
+        }
+    };
+
+    /**
+     * Re-filter, re-render from the first page and record the new state
+     * in the URL
+     */
+    const onFiltersChanged = (push = false) => {
+        clearTimeout(filterTimer);
+        currentPage = 1;
+        applyFilters();
+        updateUI();
+        writeFiltersToUrl(push);
+    };
+
+    /**
+     * onFiltersChanged once the user pauses typing or dragging
+     */
+    const scheduleFiltersChanged = () => {
+        clearTimeout(filterTimer);
+        filterTimer = setTimeout(() => onFiltersChanged(), FILTER_DEBOUNCE_MS);
+    };
+
+    /**
+     * Show another page of the current results
+     */
+    const goToPage = (page) => {
+        currentPage = page;
+        displayProducts(filteredProducts);
+        updatePagination();
+        writeFiltersToUrl(true);
+
+        const grid = document.getElementById('productsGrid');
+        if (grid && typeof grid.scrollIntoView === 'function') {
+            grid.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    };
+
+    /**
+     * Reflect current filter state in the sidebar controls
+     */
+    const syncControls = () => {
+        const searchInput = document.getElementById('searchInput');
+        if (searchInput) searchInput.value = filters.search;
+
+        FACETS.forEach(facet => {
+            const container = document.getElementById(facet.containerId);
+            if (!container) return;
+            container.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+                checkbox.checked = filters[facet.key].includes(checkbox.value);
+            });
+        });
+
+        syncPriceControls();
+
+        const sortSelect = document.getElementById('sortSelect');
+        if (sortSelect) sortSelect.value = filters.sortBy;
+
+        const pageSizeSelect = document.getElementById('pageSizeSelect');
+        if (pageSizeSelect) pageSizeSelect.value = String(pageSize);
+
+        document.querySelectorAll('[data-view]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.view === view));
+        });
+    };
+
+    /**
+     * Switch between the grid, list and table views
+     */
+    const setView = (next) => {
+        if (!VIEWS.includes(next) || next === view) return;
+        view = next;
+        LocalStore.write(VIEW_STORAGE_KEY, view);
+        syncControls();
+        displayProducts(filteredProducts);
+    };
+
+    const decimalsFor = (step) => (step < 1 ? 2 : 0);
+    const floorTo = (value, step) => Math.floor(value * 10 ** decimalsFor(step)) / 10 ** decimalsFor(step);
+    const ceilTo = (value, step) => Math.ceil(value * 10 ** decimalsFor(step)) / 10 ** decimalsFor(step);
+
+    // cents in the display currency, so limits match prices as shown
+    const displayCents = (inr) => Math.round(Pricing.convert(inr) * 100);
+
+    /**
+     * Recompute slider bounds from the "from" prices of products matching
+     * every other filter (the whole catalogue when nothing matches)
+     */
+    const updatePriceBounds = () => {
+        const candidates = allProducts.filter(product => matchesFilters(product, PRICE_FILTER));
+        const prices = (candidates.length > 0 ? candidates : allProducts)
+            .map(product => Pricing.convert(Pricing.lowestPriceOf(product)));
+        if (prices.length === 0) return;
+
+        const min = Math.min(...prices);
+        const max = Math.max(...prices);
+        // whole units unless the range is narrow (e.g. USD prices of a few dollars)
+        const step = max - min >= 50 ? 1 : 0.01;
+        priceBounds = { min: floorTo(min, step), max: ceilTo(max, step), step };
+    };
+
+    /**
+     * Reflect the price limits and bounds in the range handles and inputs
+     */
+    const syncPriceControls = () => {
+        const { min, max, step } = priceBounds;
+        const clamp = (value) => Math.min(Math.max(value, min), max);
+        const lower = filters.minPrice === null ? min : clamp(Number(Pricing.convert(filters.minPrice).toFixed(2)));
+        const upper = filters.maxPrice === null ? max : clamp(Number(Pricing.convert(filters.maxPrice).toFixed(2)));
+
+        [['priceMinRange', lower], ['priceMaxRange', upper]].forEach(([id, value]) => {
+            const range = document.getElementById(id);
+            if (!range) return;
+            Object.assign(range, { min, max, step });
+            range.value = String(value);
+        });
+
+        [['priceMinInput', filters.minPrice, lower], ['priceMaxInput', filters.maxPrice, upper]].forEach(([id, limit, value]) => {
+            const input = document.getElementById(id);
+            if (!input || input === document.activeElement) return;
+            Object.assign(input, { min, max, step });
+            input.placeholder = String(id === 'priceMinInput' ? min : max);
+            input.value = limit === null ? '' : String(value);
+        });
+
+        const currency = document.getElementById('priceCurrency');
+        if (currency) {
+            // GST is only added for products with a known rate
+            const withGst = allProducts.some(product => Pricing.includesGst(product));
+            currency.textContent = `(${Pricing.getCurrency()}, ${withGst ? 'incl. GST where rated' : 'excl. GST'})`;
+        }
+    };
+
+    /**
+     * Set a price limit from a value in the display currency. Limits at
+     * (or beyond) the bounds are dropped so new products are never hidden.
+     * Slider drags are debounced; typed values apply at once.
+     */
+    const setPriceLimit = (key, displayValue, debounce = false) => {
+        const { min, max } = priceBounds;
+        const atBound = key === 'minPrice' ? displayValue <= min : displayValue >= max;
+        filters[key] = !Number.isFinite(displayValue) || atBound ? null : Pricing.toBase(displayValue);
+
+        // keep min <= max by moving the other handle along
+        if (filters.minPrice !== null && filters.maxPrice !== null && filters.minPrice > filters.maxPrice) {
+            filters[key === 'minPrice' ? 'maxPrice' : 'minPrice'] = filters[key];
+        }
+        if (debounce) {
+            scheduleFiltersChanged();
+        } else {
+            onFiltersChanged();
+        }
     };
 
     /**
@@ -35,42 +322,97 @@ const ProductsPage = (() => {
         if (searchInput) {
             searchInput.addEventListener('input', (e) => {
                 filters.search = e.target.value;
-                applyFilters();
-                updateUI();
+                scheduleFiltersChanged();
             });
         }
 
-        // Category filter
-        const categoryFilter = document.getElementById('categoryFilter');
-        if (categoryFilter) {
-            categoryFilter.addEventListener('change', (e) => {
-                filters.category = e.target.value;
-                applyFilters();
-                updateUI();
+        // Category / composition facets
+        FACETS.forEach(facet => {
+            const container = document.getElementById(facet.containerId);
+            if (!container) return;
+            container.addEventListener('change', (e) => {
+                if (e.target.type !== 'checkbox') return;
+                const others = filters[facet.key].filter(value => value !== e.target.value);
+                filters[facet.key] = e.target.checked ? [...others, e.target.value] : others;
+                onFiltersChanged(true);
             });
-        }
+        });
 
-        // Price range filter
-        const priceRange = document.getElementById('priceRange');
-        if (priceRange) {
-            priceRange.addEventListener('input', (e) => {
-                filters.maxPrice = parseInt(e.target.value);
-                document.getElementById('priceValue').textContent = filters.maxPrice;
-                applyFilters();
-                updateUI();
+        // Price range: dual handles and numeric inputs (applied on change,
+        // not while typing)
+        [['priceMinRange', 'input', 'minPrice'], ['priceMaxRange', 'input', 'maxPrice'],
+            ['priceMinInput', 'change', 'minPrice'], ['priceMaxInput', 'change', 'maxPrice']].forEach(([id, type, key]) => {
+            const control = document.getElementById(id);
+            if (!control) return;
+            control.addEventListener(type, (e) => {
+                const value = e.target.value === '' ? NaN : parseFloat(e.target.value);
+                setPriceLimit(key, value, type === 'input');
             });
-        }
+        });
+
+        // Currency / GST switch: prices, price filter and price sorting change
+        document.addEventListener('pricing:change', () => {
+            applyFilters();
+            updateUI();
+        });
 
         // Sort
         const sortSelect = document.getElementById('sortSelect');
         if (sortSelect) {
             sortSelect.addEventListener('change', (e) => {
                 filters.sortBy = e.target.value;
-                applyFilters();
-                updateUI();
+                onFiltersChanged(true);
+            });
+        }
+
+        // View switcher and table header sorting
+        document.querySelectorAll('[data-view]').forEach(button => {
+            button.addEventListener('click', () => setView(button.dataset.view));
+        });
+
+        const table = document.getElementById('productsTable');
+        if (table) {
+            table.addEventListener('click', (e) => {
+                const header = e.target.closest('[data-sort-column]');
+                if (!header) return;
+                const [ascending, descending] = COLUMN_SORTS[header.dataset.sortColumn];
+                filters.sortBy = filters.sortBy === ascending ? descending : ascending;
+                syncControls();
+                onFiltersChanged(true);
+
+                // the table was re-rendered; keep keyboard focus on the header
+                const sameHeader = table.querySelector(`[data-sort-column="${header.dataset.sortColumn}"]`);
+                if (sameHeader) sameHeader.focus();
+            });
+        }
+
+        // Page size and page links
+        const pageSizeSelect = document.getElementById('pageSizeSelect');
+        if (pageSizeSelect) {
+            pageSizeSelect.addEventListener('change', (e) => {
+                pageSize = PAGE_SIZES.includes(parseInt(e.target.value, 10)) ? parseInt(e.target.value, 10) : DEFAULT_PAGE_SIZE;
+                currentPage = 1;
+                displayProducts(filteredProducts);
+                updatePagination();
+                writeFiltersToUrl(true);
+            });
+        }
+
+        const pagination = document.getElementById('productsPagination');
+        if (pagination) {
+            pagination.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-page]');
+                if (!button || button.disabled) return;
+                goToPage(parseInt(button.dataset.page, 10));
             });
         }
 
+        // Catalogue downloads
+        const csvBtn = document.getElementById('exportCsvBtn');
+        if (csvBtn) {
+            csvBtn.addEventListener('click', exportCsv);
+        }
+
         // Clear filters button
         const clearBtn = document.getElementById('clearFiltersBtn');
         if (clearBtn) {
@@ -84,34 +426,97 @@ const ProductsPage = (() => {
         }
     };
 
+    /**
+     * Check a product against every active filter, optionally ignoring one
+     * facet (used to count what each of that facet's values would match)
+     * or, with PRICE_FILTER, the price limits (used for the slider bounds)
+     */
+    const matchesFilters = (product, skipFacet = null) => {
+        // Search filter
+        if (searchRanks && !searchRanks.has(product.id)) {
+            return false;
+        }
+
+        // Facet filters
+        const matchFacets = FACETS.every(facet => {
+            const selected = filters[facet.key];
+            if (facet === skipFacet || selected.length === 0) return true;
+            return facet.valuesOf(product).some(value => selected.includes(value));
+        });
+        if (!matchFacets) return false;
+
+        // Price filter, on the "from" price rounded as displayed
+        if (skipFacet !== PRICE_FILTER) {
+            const price = displayCents(Pricing.lowestPriceOf(product));
+            if (filters.minPrice !== null && price < displayCents(filters.minPrice)) return false;
+            if (filters.maxPrice !== null && price > displayCents(filters.maxPrice)) return false;
+        }
+
+        return true;
+    };
+
     /**
      * Apply all filters and sorting
      */
     const applyFilters = () => {
-        filteredProducts = allProducts.filter(product => {
-            // Search filter
-            if (filters.search) {
-                const q = filters.search.toLowerCase();
-                const matchSearch = product.name.toLowerCase().includes(q) ||
-                                  product.description.toLowerCase().includes(q);
-                if (!matchSearch) return false;
-            }
+        // a query of only stop words or single letters ("the", "r") is no search
+        searchRanks = SearchIndex.tokenize(filters.search).length > 0
+            ? new Map(ProductManager.search(filters.search).map((product, rank) => [product.id, rank]))
+            : null;
+        filteredProducts = allProducts.filter(product => matchesFilters(product));
+        updatePriceBounds();
 
-            // Category filter
-            if (filters.category && product.category !== filters.category) {
-                return false;
-            }
+        // Apply sorting
+        applySort();
+    };
 
-            // Price filter
-            if (product.price > filters.maxPrice) {
-                return false;
-            }
+    /**
+     * Build facet checkboxes from the values present in the catalogue
+     */
+    const buildFacets = () => {
+        FACETS.forEach(facet => {
+            const container = document.getElementById(facet.containerId);
+            if (!container) return;
+
+            const values = [...new Set(allProducts.flatMap(facet.valuesOf))]
+                .sort((a, b) => a.localeCompare(b));
 
-            return true;
+            container.innerHTML = values.map(value => `
+                <label class="facet-option">
+                    <input type="checkbox" value="${escapeHtml(value)}">
+                    <span class="facet-label">${escapeHtml(value)}</span>
+                    <span class="facet-count" data-count-for="${escapeHtml(value)}">0</span>
+                </label>
+            `).join('');
         });
+    };
 
-        // Apply sorting
-        applySort();
+    /**
+     * Update facet counts: how many products each value would match given
+     * all the other active filters
+     */
+    const updateFacetCounts = () => {
+        FACETS.forEach(facet => {
+            const container = document.getElementById(facet.containerId);
+            if (!container) return;
+
+            const counts = {};
+            allProducts
+                .filter(product => matchesFilters(product, facet))
+                .forEach(product => {
+                    new Set(facet.valuesOf(product)).forEach(value => {
+                        counts[value] = (counts[value] || 0) + 1;
+                    });
+                });
+
+            container.querySelectorAll('.facet-option').forEach(option => {
+                const checkbox = option.querySelector('input');
+                const count = counts[checkbox.value] || 0;
+                option.querySelector('.facet-count').textContent = count;
+                checkbox.disabled = count === 0 && !checkbox.checked;
+                option.classList.toggle('is-empty', checkbox.disabled);
+            });
+        });
     };
 
     /**
@@ -122,10 +527,28 @@ const ProductsPage = (() => {
 
         switch (filters.sortBy) {
             case 'price-low':
-                sorted.sort((a, b) => a.price - b.price);
+                sorted.sort((a, b) => Pricing.lowestPriceOf(a) - Pricing.lowestPriceOf(b));
                 break;
             case 'price-high':
-                sorted.sort((a, b) => b.price - a.price);
+                sorted.sort((a, b) => Pricing.lowestPriceOf(b) - Pricing.lowestPriceOf(a));
+                break;
+            case 'name-desc':
+                sorted.sort((a, b) => b.name.localeCompare(a.name));
+                break;
+            case 'category':
+            case 'category-desc': {
+                const direction = filters.sortBy === 'category' ? 1 : -1;
+                // name breaks ties within a category, always A-Z
+                sorted.sort((a, b) => direction * categoryOf(a).localeCompare(categoryOf(b)) || a.name.localeCompare(b.name));
+                break;
+            }
+            case 'relevance':
+                // best search match first; without a query this is A-Z
+                if (searchRanks) {
+                    sorted.sort((a, b) => searchRanks.get(a.id) - searchRanks.get(b.id));
+                    break;
+                }
+                sorted.sort((a, b) => a.name.localeCompare(b.name));
                 break;
             case 'name':
             default:
@@ -139,29 +562,14 @@ const ProductsPage = (() => {
      * Clear all filters
      */
     const clearAllFilters = () => {
-        filters.search = '';
-        filters.category = '';
-        filters.maxPrice = 250;
-        filters.sortBy = 'name';
+        Object.assign(filters, DEFAULT_FILTERS);
+        FACETS.forEach(facet => {
+            filters[facet.key] = [];
+        });
 
         // Update UI elements
-        const searchInput = document.getElementById('searchInput');
-        if (searchInput) searchInput.value = '';
-
-        const categoryFilter = document.getElementById('categoryFilter');
-        if (categoryFilter) categoryFilter.value = '';
-
-        const priceRange = document.getElementById('priceRange');
-        if (priceRange) {
-            priceRange.value = '250';
-            document.getElementById('priceValue').textContent = '250';
-        }
-
-        const sortSelect = document.getElementById('sortSelect');
-        if (sortSelect) sortSelect.value = 'name';
-
-        applyFilters();
-        updateUI();
+        syncControls();
+        onFiltersChanged(true);
     };
 
     /**
@@ -169,52 +577,259 @@ const ProductsPage = (() => {
      */
     const updateUI = () => {
         displayProducts(filteredProducts);
+        updatePagination();
+        updateFacetCounts();
+        syncPriceControls();
         updateProductCount();
         updateNoResultsMessage();
+        updateCatalogueLink();
     };
 
+    const categoryOf = (product) => product.category || 'medicine';
+
     /**
-     * Display products with enhanced cards
+     * Display the current page of products in the chosen view. Cards are
+     * keyed by product id: ones already on the page stay put, others are
+     * moved in from the cache or created, so only new cards build an
+     * image carousel.
      */
     const displayProducts = (productsToDisplay) => {
         const container = document.getElementById('productsGrid');
+        const table = document.getElementById('productsTable');
         if (!container) return;
 
-        if (productsToDisplay.length === 0) {
-            container.innerHTML = '';
+        const pageCount = Math.max(1, Math.ceil(productsToDisplay.length / pageSize));
+        currentPage = Math.min(currentPage, pageCount);
+        const start = (currentPage - 1) * pageSize;
+        const pageProducts = productsToDisplay.slice(start, start + pageSize);
+
+        const showTable = view === 'table' && Boolean(table);
+        container.hidden = showTable;
+        container.classList.toggle('products-list', view === 'list');
+        if (table) table.hidden = !showTable;
+        if (showTable) {
+            displayTable(table, pageProducts);
             return;
         }
-        container.innerHTML = productsToDisplay.map(product => createProductCard(product)).join('');
 
-        // Initialize auto carousels for product cards (autoplay listing)
-        // use a microtask so DOM is updated before initialization
-        Promise.resolve().then(() => {
-            if (typeof Carousel !== 'undefined' && typeof Carousel.initAutoCarousels === 'function') {
-                Carousel.initAutoCarousels();
-            }
+        const cards = pageProducts.map(getCard);
+
+        cards.forEach((card, index) => {
+            const current = container.children[index] || null;
+            if (current !== card) container.insertBefore(card, current);
         });
+        while (container.children.length > cards.length) {
+            container.lastElementChild.remove();
+        }
+
+        // cards off the page missed wishlist / compare / currency updates
+        UIManager.updatePrices();
+        UIManager.updateWishlist();
+        UIManager.updateCompareToggles();
+
+        // Initialize auto carousels for new product cards (autoplay listing)
+        if (typeof Carousel !== 'undefined' && typeof Carousel.initAutoCarousels === 'function') {
+            Carousel.initAutoCarousels(container);
+        }
+    };
+
+    /**
+     * Card node for a product, reused across renders. The text is
+     * refreshed when the search query (and so the highlighting) changed.
+     */
+    const getCard = (product) => {
+        const query = filters.search.trim();
+        const key = `${view}:${product.id}`;
+        const cached = cardCache.get(key);
+        if (cached && cached.query === query) return cached.card;
+
+        const card = ProductCard.create(product, { variant: view, ...cardOptions(product, query) });
+        if (cached) {
+            // keep the built image carousel, swap in the new text
+            cached.card.querySelector('.product-info').replaceWith(card.querySelector('.product-info'));
+            cached.query = query;
+            return cached.card;
+        }
+        cardCache.set(key, { card, query });
+        return card;
     };
 
     /**
-     * Create enhanced product card HTML
+     * Dense table of the current page: sortable name, category and price
+     * columns, and a shortened description
      */
-    const createProductCard = (product) => {
-        return `
-            <div class="product-card" role="listitem">
-                <div class="product-image product-image-carousel" data-folder="${encodeURIComponent(product.icon || '')}"></div>
-                <div class="product-info">
-                    <span class="product-category">${escapeHtml(product.category || 'Medicine')}</span>
-                    <h3 class="product-name">${escapeHtml(product.name)}</h3>
-                    <p class="product-description">${escapeHtml(product.description)}</p>
-                    <div class="product-price">₹${product.price.toFixed(2)}</div>
-                    <div class="product-actions">
-                        <a href="product-detail.html?id=${product.id}" class="btn btn-sm btn-secondary">Details</a>
-                    </div>
-                </div>
-            </div>
+    const displayTable = (table, products) => {
+        const query = filters.search.trim();
+        const mark = (text) => (query ? SearchIndex.highlight(text, query) : escapeHtml(text));
+
+        const header = (column, label) => {
+            const [ascending, descending] = COLUMN_SORTS[column];
+            const sort = { [ascending]: 'ascending', [descending]: 'descending' }[filters.sortBy] || 'none';
+            const indicator = { ascending: '▲', descending: '▼', none: '' }[sort];
+            return `
+                <th scope="col" aria-sort="${sort}">
+                    <button type="button" class="table-sort" data-sort-column="${column}">${label} <span aria-hidden="true">${indicator}</span></button>
+                </th>
+            `;
+        };
+
+        table.innerHTML = `
+            <table class="products-table">
+                <thead>
+                    <tr>
+                        ${header('name', 'Product')}
+                        ${header('category', 'Category')}
+                        ${header('price', 'Price')}
+                        <th scope="col">Description</th>
+                        <th scope="col"><span class="sr-only">Actions</span></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${products.map(product => `
+                        <tr>
+                            <th scope="row"><a href="${SitePaths.productUrl(product)}">${mark(product.name)}</a></th>
+                            <td class="products-table-category">${escapeHtml(categoryOf(product))}</td>
+                            <td class="products-table-price">${UIManager.createPriceTag(product)}</td>
+                            <td>${mark(shortDescription(product.description))}</td>
+                            <td><button type="button" class="btn btn-sm btn-primary" data-inquiry-add="${product.id}">Add to inquiry</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
         `;
     };
 
+    /**
+     * Cut a description at a word boundary for the table view
+     */
+    const shortDescription = (text) => {
+        if (!text || text.length <= DESCRIPTION_LENGTH) return text || '';
+        const cut = text.slice(0, DESCRIPTION_LENGTH);
+        return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length).replace(/[\s,.;:]+$/, '')}…`;
+    };
+
+    /**
+     * Listing card options: search matches highlighted, and the salts
+     * shown when the search matched them
+     */
+    const cardOptions = (product, query) => {
+        if (!query) return {};
+
+        const highlight = (text) => SearchIndex.highlight(text, query);
+        const matchedIngredients = product.ingredients
+            .map(ingredient => highlight(ingredient.name))
+            .filter(html => html.includes('<mark>'));
+
+        return {
+            highlight,
+            notes: matchedIngredients.length > 0
+                ? [{ html: `Contains: ${matchedIngredients.join(', ')}`, className: 'product-match' }]
+                : []
+        };
+    };
+
+    /**
+     * Page links: first, last and the pages around the current one
+     */
+    const updatePagination = () => {
+        const nav = document.getElementById('productsPagination');
+        if (!nav) return;
+
+        const total = filteredProducts.length;
+        const pageCount = Math.ceil(total / pageSize);
+        nav.hidden = pageCount <= 1;
+        if (pageCount <= 1) {
+            nav.innerHTML = '';
+            return;
+        }
+
+        const pages = [];
+        let previous = 0;
+        for (let page = 1; page <= pageCount; page++) {
+            if (page !== 1 && page !== pageCount && Math.abs(page - currentPage) > 1) continue;
+            if (page - previous > 1) pages.push(null);
+            pages.push(page);
+            previous = page;
+        }
+
+        const first = (currentPage - 1) * pageSize + 1;
+        const last = Math.min(currentPage * pageSize, total);
+        nav.innerHTML = `
+            <button type="button" class="page-btn" data-page="${currentPage - 1}" aria-label="Previous page" ${currentPage === 1 ? 'disabled' : ''}>‹</button>
+            ${pages.map(page => (page === null
+                ? '<span class="page-gap" aria-hidden="true">…</span>'
+                : `<button type="button" class="page-btn${page === currentPage ? ' active' : ''}" data-page="${page}" aria-label="Page ${page}" ${page === currentPage ? 'aria-current="page"' : ''}>${page}</button>`)).join('')}
+            <button type="button" class="page-btn" data-page="${currentPage + 1}" aria-label="Next page" ${currentPage === pageCount ? 'disabled' : ''}>›</button>
+            <span class="page-status">Showing ${first}–${last} of ${total}</span>
+        `;
+    };
+
+    /**
+     * Point "Print catalogue" at the filtered set, in the listing's order
+     */
+    const updateCatalogueLink = () => {
+        const link = document.getElementById('printCatalogueLink');
+        if (!link) return;
+        link.href = `catalogue.html?ids=${filteredProducts.map(product => product.id).join(',')}`;
+        link.classList.toggle('disabled', filteredProducts.length === 0);
+    };
+
+    /**
+     * Quote a CSV field. Text starting with = + - @ is prefixed with ' so
+     * spreadsheets don't evaluate it as a formula.
+     */
+    const csvField = (value) => {
+        const text = String(value ?? '');
+        const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+        return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+    };
+
+    /**
+     * Download the filtered products as CSV, priced in the selected
+     * currency and GST mode
+     */
+    const exportCsv = () => {
+        const currency = Pricing.getCurrency();
+        const amount = (inr) => Pricing.convert(inr).toFixed(2);
+
+        const header = [
+            'Product', 'Category', 'Dosage Form', 'Pack Size', 'Composition', 'Indications',
+            'Prescription', 'Min. Order', `Unit Price (${currency})`, 'GST',
+            'Quantity Pricing', 'Description', 'Link'
+        ];
+        const rows = filteredProducts.map(product => [
+            product.name,
+            categoryOf(product),
+            product.dosageForm,
+            product.packSize,
+            product.ingredients
+                .map(ingredient => [ingredient.name, ProductSchema.formatStrength(ingredient)].filter(Boolean).join(' '))
+                .join('; '),
+            product.indications.join('; '),
+            ProductSchema.PRESCRIPTION_LABELS[product.prescription],
+            product.moq,
+            amount(Pricing.priceOf(product, product.moq)),
+            // per product: GST is only added where the rate is known
+            Pricing.gstNote(product),
+            Pricing.hasTiers(product)
+                ? Pricing.getTiers(product).map(tier => `${tier.minQuantity}+: ${amount(tier.unitPrice)}`).join('; ')
+                : '',
+            product.description,
+            new URL(SitePaths.productUrl(product), window.location.href).href
+        ]);
+
+        // BOM so Excel opens the file as UTF-8 (₹, €, µg)
+        const csv = `\ufeff${[header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+        const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `rpharma-catalogue-${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    };
+
     /**
      * Update product count display
      */
@@ -235,18 +850,6 @@ const ProductsPage = (() => {
         }
     };
 
-    /**
-     * Escape HTML to prevent XSS
-     */
-    const escapeHtml = (unsafe) => {
-        return unsafe
-            .replace(/&/g, "&amp;")
-            .replace(/</g, "&lt;")
-            .replace(/>/g, "&gt;")
-            .replace(/"/g, "&quot;")
-            .replace(/'/g, "&#039;");
-    };
-
     return {
         init
     };
@@ -259,64 +862,6 @@ document.addEventListener('DOMContentLoaded', () => {
     ProductsPage.init();
 });
 
-// Filter products by category
-function filterProducts(category) {
-    const allCheckbox = document.querySelector('input[value="all"]');
-    const checkboxes = document.querySelectorAll('.filter-group input[type="checkbox"]');
-
-    if (category === 'all') {
-        checkboxes.forEach(cb => cb.checked = cb.value === 'all');
-        currentFilter = 'all';
-    } else {
-        allCheckbox.checked = false;
-    }
-
-    const selectedCategories = Array.from(checkboxes)
-        .filter(cb => cb.checked && cb.value !== 'all')
-        .map(cb => cb.value);
-
-    if (selectedCategories.length === 0) {
-        filteredProducts = [...allProducts];
-    } else {
-        filteredProducts = allProducts.filter(p => selectedCategories.includes(p.category));
-    }
-
-    applyFilters();
-}
-
-// Filter by price
-function filterByPrice(value) {
-    maxPrice = value;
-    document.getElementById('priceValue').textContent = value;
-    applyFilters();
-}
-
-// Apply all filters and sorting
-function applyFilters() {
-    let result = filteredProducts.filter(p => p.price <= maxPrice);
-
-    // Apply sorting
-    switch (currentSort) {
-        case 'name':
-            result.sort((a, b) => a.name.localeCompare(b.name));
-            break;
-        case 'price-low':
-            result.sort((a, b) => a.price - b.price);
-            break;
-        case 'price-high':
-            result.sort((a, b) => b.price - a.price);
-            break;
-    }
-
-    displayProducts(result);
-}
-
-// Sort products
-function sortProducts(sortType) {
-    currentSort = sortType;
-    applyFilters();
-}
-
 // Styles for products page specific elements
 const style = document.createElement('style');
 style.textContent = `
@@ -384,6 +929,25 @@ style.textContent = `
         cursor: pointer;
     }
 
+    .facet-option .facet-label {
+        flex: 1;
+        text-transform: capitalize;
+    }
+
+    .facet-option .facet-count {
+        font-size: 0.8rem;
+        color: #666;
+        background: white;
+        border: 1px solid var(--border-color);
+        border-radius: 10px;
+        padding: 0 0.5rem;
+    }
+
+    .facet-option.is-empty {
+        opacity: 0.5;
+        cursor: default;
+    }
+
     .filters-sidebar select {
         width: 100%;
         padding: 0.5rem;
@@ -402,6 +966,286 @@ style.textContent = `
         color: #666;
     }
 
+    .product-card mark {
+        background: #FFF3B0;
+        color: inherit;
+        padding: 0 2px;
+        border-radius: 2px;
+    }
+
+    .product-match {
+        font-size: 0.85rem;
+        color: var(--text-secondary);
+        margin-bottom: 1rem;
+    }
+
+    .price-currency {
+        font-size: 0.8rem;
+        font-weight: 400;
+        color: #666;
+    }
+
+    /* Dual-handle range: two overlapping sliders, only the thumbs take input */
+    .price-range {
+        position: relative;
+        height: 28px;
+    }
+
+    .price-range::before {
+        content: '';
+        position: absolute;
+        left: 0;
+        right: 0;
+        top: 12px;
+        height: 4px;
+        background: var(--border-color);
+        border-radius: 2px;
+    }
+
+    .price-range input[type="range"] {
+        position: absolute;
+        left: 0;
+        top: 4px;
+        width: 100%;
+        margin: 0;
+        background: none;
+        pointer-events: none;
+        -webkit-appearance: none;
+        appearance: none;
+    }
+
+    .price-range input[type="range"]::-webkit-slider-thumb {
+        pointer-events: auto;
+        -webkit-appearance: none;
+        width: 18px;
+        height: 18px;
+        border-radius: 50%;
+        background: var(--primary-color);
+        border: 2px solid white;
+        box-shadow: var(--shadow-sm);
+        cursor: pointer;
+    }
+
+    .price-range input[type="range"]::-moz-range-thumb {
+        pointer-events: auto;
+        width: 18px;
+        height: 18px;
+        border-radius: 50%;
+        background: var(--primary-color);
+        border: 2px solid white;
+        box-shadow: var(--shadow-sm);
+        cursor: pointer;
+    }
+
+    .price-inputs {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        margin-top: 0.75rem;
+    }
+
+    .price-inputs label {
+        flex: 1;
+    }
+
+    .price-inputs input {
+        width: 100%;
+        padding: 0.5rem;
+        border: 1px solid #e0e0e0;
+        border-radius: 4px;
+        font-size: 0.9rem;
+    }
+
+    .products-toolbar {
+        display: flex;
+        align-items: center;
+        gap: 1rem;
+    }
+
+    .view-switcher {
+        display: flex;
+        border: 1px solid #e0e0e0;
+        border-radius: 4px;
+        overflow: hidden;
+    }
+
+    .view-btn {
+        width: 2.25rem;
+        height: 2.25rem;
+        border: none;
+        background: white;
+        color: #666;
+        font-size: 1.1rem;
+        cursor: pointer;
+    }
+
+    .view-btn + .view-btn {
+        border-left: 1px solid #e0e0e0;
+    }
+
+    .view-btn[aria-pressed="true"] {
+        background: var(--primary-color);
+        color: white;
+    }
+
+    .products-grid.products-list {
+        grid-template-columns: 1fr;
+        gap: 1.25rem;
+    }
+
+    .products-grid[hidden],
+    .products-table-wrap[hidden] {
+        display: none;
+    }
+
+    .products-table-wrap {
+        overflow-x: auto;
+        margin-bottom: 2rem;
+    }
+
+    .products-table {
+        width: 100%;
+        border-collapse: collapse;
+        background: white;
+        font-size: 0.9rem;
+    }
+
+    .products-table th,
+    .products-table td {
+        padding: 0.75rem;
+        border-bottom: 1px solid #e0e0e0;
+        text-align: left;
+        vertical-align: top;
+    }
+
+    .products-table thead th {
+        background: var(--bg-light);
+        white-space: nowrap;
+    }
+
+    .products-table tbody th {
+        font-weight: 600;
+    }
+
+    .products-table tbody th a {
+        color: var(--text-primary);
+        text-decoration: none;
+    }
+
+    .products-table tbody th a:hover {
+        color: var(--primary-color);
+    }
+
+    .table-sort {
+        border: none;
+        background: none;
+        padding: 0;
+        font: inherit;
+        font-weight: 600;
+        color: inherit;
+        cursor: pointer;
+    }
+
+    .products-table-category {
+        text-transform: capitalize;
+    }
+
+    .products-table-price {
+        white-space: nowrap;
+        font-weight: 700;
+        color: var(--accent-red);
+    }
+
+    .products-table mark {
+        background: #FFF3B0;
+        color: inherit;
+        padding: 0 2px;
+    }
+
+    .catalogue-actions {
+        display: flex;
+        flex-direction: column;
+        gap: 0.5rem;
+        margin-bottom: 1rem;
+        padding: 1rem 0 0;
+        border: none;
+        border-top: 1px solid #e0e0e0;
+    }
+
+    .catalogue-actions legend {
+        float: left;
+        width: 100%;
+        margin-bottom: 0.25rem;
+        font-size: 1rem;
+        font-weight: 600;
+    }
+
+    .page-size {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        font-size: 0.9rem;
+        color: #666;
+    }
+
+    .page-size select {
+        padding: 0.4rem 0.5rem;
+        border: 1px solid #e0e0e0;
+        border-radius: 4px;
+    }
+
+    .products-pagination {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        justify-content: center;
+        gap: 0.4rem;
+        margin-top: 2.5rem;
+    }
+
+    .products-pagination[hidden] {
+        display: none;
+    }
+
+    .page-btn {
+        min-width: 2.25rem;
+        height: 2.25rem;
+        padding: 0 0.5rem;
+        border: 1px solid #e0e0e0;
+        border-radius: 4px;
+        background: white;
+        color: var(--text-primary);
+        cursor: pointer;
+    }
+
+    .page-btn:hover:not(:disabled) {
+        border-color: var(--primary-color);
+        color: var(--primary-color);
+    }
+
+    .page-btn.active {
+        background: var(--primary-color);
+        border-color: var(--primary-color);
+        color: white;
+    }
+
+    .page-btn:disabled {
+        opacity: 0.4;
+        cursor: default;
+    }
+
+    .page-gap {
+        padding: 0 0.25rem;
+        color: #999;
+    }
+
+    .page-status {
+        flex-basis: 100%;
+        text-align: center;
+        font-size: 0.85rem;
+        color: #666;
+    }
+
     .products-main {
         min-height: 400px;
     }
@@ -0,0 +1,54 @@
+// ============================================================
+// Wishlist Page Module
+// Lists the products saved with the ♡ toggle
+// ============================================================
+
+const WishlistPage = (() => {
+    /**
+     * Initialize the wishlist page
+     */
+    const init = async () => {
+        await ProductManager.loadProducts();
+
+        const clearBtn = document.getElementById('clearWishlistBtn');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', Wishlist.clear);
+        }
+
+        render();
+
+        // re-render when products are unsaved here or in another tab
+        document.addEventListener('wishlist:change', render);
+    };
+
+    /**
+     * Render saved products, most recently saved first
+     */
+    const render = () => {
+        const container = document.getElementById('wishlistGrid');
+        if (!container) return;
+
+        // products removed from the catalogue are skipped
+        const products = Wishlist.getIds().map(ProductManager.getById).filter(Boolean);
+        const isEmpty = products.length === 0;
+
+        document.getElementById('wishlistEmpty').style.display = isEmpty ? 'block' : 'none';
+        document.getElementById('wishlistToolbar').style.display = isEmpty ? 'none' : 'flex';
+        document.getElementById('wishlistSummary').textContent =
+            `${products.length} saved product${products.length === 1 ? '' : 's'} (up to ${Wishlist.MAX_ITEMS})`;
+
+        container.innerHTML = products.map(product => ProductCard.render(product)).join('');
+        Carousel.initAutoCarousels(container);
+    };
+
+    return {
+        init
+    };
+})();
+
+/**
+ * Initialize page on DOMContentLoaded
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    WishlistPage.init();
+});
@@ -3,123 +3,2060 @@
 // Modern, Modular JavaScript Architecture
 // ============================================================
 
+/**
+ * Site Paths Module
+ * Resolves site-relative paths from pages at the root or one folder deep
+ */
+const SitePaths = (() => {
+    const SECTION_FOLDERS = ['products', 'about', 'contact'];
+
+    // the document base, so pre-rendered pages in products/p/ (which set
+    // <base href="../">) resolve like pages in products/
+    const segments = new URL(document.baseURI).pathname.split('/');
+    const currentFolder = segments[segments.length - 2] || '';
+    const root = SECTION_FOLDERS.includes(currentFolder) ? '../' : '';
+
+    /**
+     * Prefix a path written relative to the site root
+     */
+    const resolve = (path) => `${root}${path}`;
+
+    /**
+     * Detail page of a product, addressed by its slug
+     */
+    const productUrl = (product) => resolve(`products/product-detail.html?p=${encodeURIComponent(product.slug)}`);
+
+    return {
+        root,
+        resolve,
+        productUrl
+    };
+})();
+
+/**
+ * Local Store Module
+ * Small JSON wrapper around localStorage that never throws
+ */
+const LocalStore = (() => {
+    // `{ session: true }` uses sessionStorage (cleared when the tab closes)
+    const storage = ({ session = false } = {}) => (session ? window.sessionStorage : window.localStorage);
+
+    const read = (key, fallback, opts) => {
+        try {
+            const raw = storage(opts).getItem(key);
+            return raw === null ? fallback : JSON.parse(raw);
+        } catch (error) {
+            return fallback;
+        }
+    };
+
+    const write = (key, value, opts) => {
+        try {
+            storage(opts).setItem(key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            // storage full or disabled (private browsing)
+            return false;
+        }
+    };
+
+    return {
+        read,
+        write
+    };
+})();
+
+/**
+ * Search Index Module
+ * Tokenized product search with typo tolerance, generic/brand synonyms and
+ * relevance ranking. Doctors and chemists mostly search by salt name.
+ */
+const SearchIndex = (() => {
+    // Field weights: a hit in the name outranks one buried in the details
+    const FIELDS = [
+        { weight: 5, textOf: (product) => product.name },
+        { weight: 4, textOf: (product) => product.ingredients.map(ingredient => ingredient.name).join(' ') },
+        { weight: 2, textOf: (product) => product.description },
+        { weight: 2, textOf: (product) => product.indications.join(' ') },
+        { weight: 1, textOf: (product) => `${product.category} ${product.details}` }
+    ];
+
+    const STOP_WORDS = new Set(['a', 'an', 'and', 'by', 'for', 'in', 'is', 'of', 'or', 'the', 'to', 'with']);
+
+    // Query term -> terms it should also match (market brand names, spellings, lay terms)
+    const SYNONYMS = {
+        allegra: ['fexofenadine'],
+        montair: ['montelukast'],
+        montek: ['montelukast'],
+        pantocid: ['pantoprazole'],
+        domstal: ['domperidone'],
+        shelcal: ['calcium'],
+        cholecalciferol: ['d3'],
+        orofer: ['ferrous'],
+        livogen: ['ferrous'],
+        iron: ['ferrous'],
+        neurobion: ['methylcobalamin'],
+        nurokind: ['methylcobalamin'],
+        b12: ['methylcobalamin'],
+        b6: ['pyridoxine'],
+        b1: ['benfotiamine'],
+        thiamine: ['benfotiamine'],
+        ala: ['lipoic'],
+        folate: ['folic'],
+        anemia: ['hemoglobin', 'ferrous'],
+        anaemia: ['hemoglobin', 'ferrous'],
+        haemoglobin: ['hemoglobin'],
+        acidity: ['acid', 'pantoprazole'],
+        heartburn: ['gerd', 'pantoprazole'],
+        allergy: ['allergic', 'allergies'],
+        antiallergic: ['allergic', 'allergies'],
+        cold: ['cough'],
+        bones: ['bone', 'calcium'],
+        syrup: ['syrups'],
+        tablet: ['tablets'],
+        capsule: ['capsules']
+    };
+
+    /**
+     * Lowercase, strip accents and split into search terms
+     */
+    const tokenize = (text) => String(text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+
+    /**
+     * Optimal string alignment distance, giving up once it exceeds `max`
+     */
+    const editDistance = (a, b, max) => {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previous2 = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], previous2[j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            previous2 = previous;
+            previous = current;
+        }
+        return previous[b.length];
+    };
+
+    const allowedTypos = (term) => {
+        if (term.length <= 3) return 0;
+        if (term.length <= 6) return 1;
+        return 2;
+    };
+
+    // A typo match scores below every exact or prefix match, whatever the
+    // field: even in the name (0.12 x 5) it stays under a synonym's prefix
+    // match in the details (0.8 x 0.9 x 1)
+    const TYPO_SCORE = 0.12;
+
+    /**
+     * How well an indexed term matches a query term (0 = no match).
+     * Typo matching is skipped when `allowTypos` is false.
+     */
+    const similarity = (queryTerm, term, allowTypos = true) => {
+        if (term === queryTerm) return 1;
+        if (queryTerm.length >= 2 && term.startsWith(queryTerm)) return 0.8;
+        if (!allowTypos) return 0;
+
+        const max = allowedTypos(queryTerm);
+        if (max === 0) return 0;
+        // a longer term is compared by its same-length prefix, so
+        // "fexofenadin" matches, but a cut-down word gets one typo at most
+        const isPrefix = term.length > queryTerm.length + max;
+        const budget = isPrefix ? 1 : max;
+        const distance = editDistance(queryTerm, isPrefix ? term.slice(0, queryTerm.length) : term, budget);
+        return distance <= budget ? TYPO_SCORE - (distance - 1) * 0.04 : 0;
+    };
+
+    /**
+     * Typos are only tolerated for a query term when neither it nor any of
+     * its synonyms appears exactly among `terms`
+     */
+    const typosAllowed = (alternatives, terms) => !alternatives.some(alternative => terms.has(alternative));
+
+    /**
+     * Query terms, each with the alternatives it may match
+     */
+    const expandQuery = (query) => tokenize(query)
+        .map(term => [term, ...(SYNONYMS[term] || [])]);
+
+    /**
+     * Build an index: term -> Map(product index -> best field weight)
+     */
+    const build = (products) => {
+        const terms = new Map();
+        products.forEach((product, docIndex) => {
+            FIELDS.forEach(field => {
+                tokenize(field.textOf(product)).forEach(term => {
+                    if (!terms.has(term)) terms.set(term, new Map());
+                    const postings = terms.get(term);
+                    postings.set(docIndex, Math.max(postings.get(docIndex) || 0, field.weight));
+                });
+            });
+        });
+        return { products, terms };
+    };
+
+    /**
+     * Search the index. Every query term (or one of its synonyms) must match.
+     * Returns [{ product, score }] ordered by relevance.
+     */
+    const search = (index, query) => {
+        const queryTerms = expandQuery(query);
+        if (queryTerms.length === 0) return [];
+
+        let totals = null;
+        queryTerms.forEach(alternatives => {
+            const scores = new Map();
+            const allowTypos = typosAllowed(alternatives, index.terms);
+            alternatives.forEach((alternative, position) => {
+                // synonyms count slightly less than what was actually typed
+                const synonymFactor = position === 0 ? 1 : 0.9;
+                index.terms.forEach((postings, term) => {
+                    const match = similarity(alternative, term, allowTypos) * synonymFactor;
+                    if (match === 0) return;
+                    postings.forEach((weight, docIndex) => {
+                        scores.set(docIndex, Math.max(scores.get(docIndex) || 0, match * weight));
+                    });
+                });
+            });
+
+            if (totals === null) {
+                totals = scores;
+                return;
+            }
+            const combined = new Map();
+            totals.forEach((score, docIndex) => {
+                if (scores.has(docIndex)) combined.set(docIndex, score + scores.get(docIndex));
+            });
+            totals = combined;
+        });
+
+        return Array.from(totals, ([docIndex, score]) => ({ product: index.products[docIndex], score }))
+            .sort((a, b) => b.score - a.score || a.product.name.localeCompare(b.product.name));
+    };
+
+    /**
+     * Escape `text` and wrap words matching `query` in <mark>. Typo matches
+     * are only marked when the text has no exact match for that query term.
+     */
+    const highlight = (text, query) => {
+        const source = String(text || '');
+        const queryTerms = expandQuery(query);
+        if (queryTerms.length === 0) return UIManager.escapeHtml(source);
+
+        const textTerms = new Set(tokenize(source));
+        const matchers = queryTerms.map(alternatives => ({ alternatives, allowTypos: typosAllowed(alternatives, textTerms) }));
+
+        return source
+            .split(/([^\p{L}\p{N}]+)/u)
+            .map(part => {
+                const [term] = tokenize(part);
+                const isMatch = term && matchers.some(({ alternatives, allowTypos }) =>
+                    alternatives.some(alternative => similarity(alternative, term, allowTypos) > 0));
+                return isMatch ? `<mark>${UIManager.escapeHtml(part)}</mark>` : UIManager.escapeHtml(part);
+            })
+            .join('');
+    };
+
+    return {
+        tokenize,
+        build,
+        search,
+        highlight
+    };
+})();
+
 /**
  * Product Manager Module
  * Handles product data loading and management
  */
 const ProductManager = (() => {
     let products = [];
+    let invalidRecords = [];
+    let searchIndex = SearchIndex.build([]);
+
+    /**
+     * Fetch and cache products from JSON
+     */
+    const loadProducts = async () => {
+        try {
+            // Resolve JSON path relative to the current page so every page
+            // fetches the same `products/products.json` file
+            const productsPath = SitePaths.resolve('products/products.json');
+
+            const response = await fetch(productsPath);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const { products: valid, invalid } = ProductSchema.parse(await response.json());
+            products = valid;
+            invalidRecords = invalid;
+            searchIndex = SearchIndex.build(products);
+            if (invalid.length > 0) {
+                console.warn(`⚠ Skipped ${invalid.length} invalid product record(s):`, invalid);
+            }
+            console.log(`✓ Loaded ${products.length} products`);
+            return products;
+        } catch (error) {
+            console.error('Failed to load products:', error);
+            return [];
+        }
+    };
+
+    /**
+     * Get all products
+     */
+    const getAll = () => products;
+
+    /**
+     * Get records rejected by the schema during the last load
+     */
+    const getInvalidRecords = () => invalidRecords;
+
+    /**
+     * Get product by ID
+     */
+    const getById = (id) => products.find(p => p.id === parseInt(id));
+
+    /**
+     * Get product by URL slug (case-insensitive)
+     */
+    const getBySlug = (slug) => {
+        const wanted = String(slug || '').trim().toLowerCase();
+        return products.find(p => p.slug === wanted);
+    };
+
+    /**
+     * Today's date as YYYY-MM-DD in the visitor's time zone, comparable
+     * with `featured.start` / `featured.end`
+     */
+    const localDate = (date) => {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    };
+
+    /**
+     * Whether a product's featured placement is running on `today`
+     * (start and end dates are inclusive)
+     */
+    const isFeaturedOn = (product, today) => {
+        const { featured } = product;
+        if (!featured) return false;
+        if (featured.start && today < featured.start) return false;
+        if (featured.end && today > featured.end) return false;
+        return true;
+    };
+
+    /**
+     * Get products for the home page: currently running `featured`
+     * placements by priority (highest first), then the rest of the
+     * catalogue in file order to fill the remaining slots
+     */
+    const getFeatured = (count = 6, now = new Date()) => {
+        const today = localDate(now);
+        const placed = products
+            .filter(product => isFeaturedOn(product, today))
+            .sort((a, b) => b.featured.priority - a.featured.priority);
+        const fallback = products.filter(product => !placed.includes(product));
+        return [...placed, ...fallback].slice(0, count);
+    };
+
+    /**
+     * Label of a product's running featured placement (e.g. "Monsoon pick")
+     */
+    const getFeaturedLabel = (product, now = new Date()) =>
+        (isFeaturedOn(product, localDate(now)) ? product.featured.label : null);
+
+    /**
+     * Search products by name, salt, description and details, best match first
+     */
+    const search = (query) => SearchIndex.search(searchIndex, query).map(result => result.product);
+
+    return {
+        loadProducts,
+        getAll,
+        getInvalidRecords,
+        getById,
+        getBySlug,
+        getFeatured,
+        getFeaturedLabel,
+        search
+    };
+})();
+
+/**
+ * Pricing Module
+ * Display currency and GST mode for every price on the site. Catalogue
+ * prices are INR excluding GST; GST is only added for products with a
+ * `gstRate`, the rest stay "excl. GST". Exchange rates come from
+ * products/exchange-rates.json ({ base: 'INR', rates: { USD: 0.0119, ... } }).
+ */
+const Pricing = (() => {
+    const STORAGE_KEY = 'rpharma:pricing';
+    const BASE_CURRENCY = 'INR';
+    const SUPPORTED_CURRENCIES = ['INR', 'USD', 'EUR', 'AED'];
+    const GST_MODES = ['exclusive', 'inclusive'];
+
+    let rates = { [BASE_CURRENCY]: 1 };
+    let ratesPromise = null;
+    const formatters = new Map();
+
+    const readSettings = () => {
+        const stored = LocalStore.read(STORAGE_KEY, {}) || {};
+        return {
+            currency: SUPPORTED_CURRENCIES.includes(stored.currency) ? stored.currency : BASE_CURRENCY,
+            gst: GST_MODES.includes(stored.gst) ? stored.gst : 'exclusive'
+        };
+    };
+
+    const notify = () => {
+        document.dispatchEvent(new CustomEvent('pricing:change', { detail: readSettings() }));
+    };
+
+    /**
+     * Fetch exchange rates once; announces a change when a non-INR
+     * currency was already selected (prices were shown in INR until now)
+     */
+    const loadRates = () => {
+        if (!ratesPromise) {
+            ratesPromise = fetch(SitePaths.resolve('products/exchange-rates.json'))
+                .then(response => (response.ok ? response.json() : null))
+                .catch(() => null)
+                .then(data => {
+                    if (data && data.rates && typeof data.rates === 'object') {
+                        rates = { ...data.rates, [BASE_CURRENCY]: 1 };
+                        if (readSettings().currency !== BASE_CURRENCY) notify();
+                    } else {
+                        console.warn('Exchange rates unavailable, showing prices in INR');
+                    }
+                    return rates;
+                });
+        }
+        return ratesPromise;
+    };
+
+    /**
+     * Currencies that can be shown right now (those with a known rate)
+     */
+    const getCurrencies = () => SUPPORTED_CURRENCIES.filter(code => typeof rates[code] === 'number');
+
+    /**
+     * Selected currency, or INR while its rate is unknown
+     */
+    const getCurrency = () => {
+        const { currency } = readSettings();
+        return typeof rates[currency] === 'number' ? currency : BASE_CURRENCY;
+    };
+
+    const setCurrency = (currency) => {
+        if (!SUPPORTED_CURRENCIES.includes(currency)) return;
+        LocalStore.write(STORAGE_KEY, { ...readSettings(), currency });
+        notify();
+    };
+
+    const getGstMode = () => readSettings().gst;
+
+    const setGstMode = (gst) => {
+        if (!GST_MODES.includes(gst)) return;
+        LocalStore.write(STORAGE_KEY, { ...readSettings(), gst });
+        notify();
+    };
+
+    /**
+     * GST percentage of a product, or null when it has not been confirmed
+     */
+    const gstRateOf = (product) => (product.gstRate === null || product.gstRate === undefined ? null : product.gstRate);
+
+    /**
+     * Whether prices of `product` are shown with GST: inclusive mode and a
+     * known rate (without one the price is never guessed)
+     */
+    const includesGst = (product) => getGstMode() === 'inclusive' && gstRateOf(product) !== null;
+
+    const withGst = (product, amount) => (includesGst(product)
+        ? amount * (1 + gstRateOf(product) / 100)
+        : amount);
+
+    /**
+     * Catalogue unit price (INR, excl. GST) at a quantity: the last tier
+     * whose minimum the quantity reaches, otherwise the base price
+     */
+    const tierPriceAt = (product, quantity) => {
+        const tiers = product.priceTiers || [];
+        const tier = [...tiers].reverse().find(candidate => quantity >= candidate.minQuantity);
+        return tier ? tier.price : product.price;
+    };
+
+    /**
+     * Unit price of `product` in INR at `quantity`, with GST added in
+     * inclusive mode
+     */
+    const priceOf = (product, quantity = 1) => withGst(product, tierPriceAt(product, quantity));
+
+    /**
+     * Lowest unit price across all tiers (for "from ₹X" on cards)
+     */
+    const lowestPriceOf = (product) =>
+        withGst(product, Math.min(product.price, ...(product.priceTiers || []).map(tier => tier.price)));
+
+    const hasTiers = (product) => (product.priceTiers || []).length > 0;
+
+    /**
+     * Quantity bands with their unit prices (INR, GST mode applied):
+     * [{ minQuantity, maxQuantity (null = and above), unitPrice }]
+     */
+    const getTiers = (product) => {
+        const bands = [{ minQuantity: product.moq || 1, price: product.price }, ...(product.priceTiers || [])];
+        return bands.map((band, index) => ({
+            minQuantity: band.minQuantity,
+            maxQuantity: index < bands.length - 1 ? bands[index + 1].minQuantity - 1 : null,
+            unitPrice: withGst(product, band.price)
+        }));
+    };
+
+    /**
+     * INR amount -> selected currency, and back (for filter inputs)
+     */
+    const convert = (amount) => amount * rates[getCurrency()];
+    const toBase = (amount) => amount / rates[getCurrency()];
+
+    /**
+     * Format an INR amount in the selected currency for the visitor's locale
+     */
+    const format = (amount) => {
+        const currency = getCurrency();
+        if (!formatters.has(currency)) {
+            formatters.set(currency, new Intl.NumberFormat(navigator.language || 'en-IN', {
+                style: 'currency',
+                currency,
+                minimumFractionDigits: 2,
+                maximumFractionDigits: 2
+            }));
+        }
+        return formatters.get(currency).format(convert(amount));
+    };
+
+    /**
+     * "incl. 12% GST" / "+ 12% GST" for the current mode, or "excl. GST"
+     * when the product's rate is unknown
+     */
+    const gstNote = (product) => {
+        const rate = gstRateOf(product);
+        if (rate === null) return 'excl. GST';
+        return getGstMode() === 'inclusive' ? `incl. ${rate}% GST` : `+ ${rate}% GST`;
+    };
+
+    /**
+     * Formatted product price for the current currency and GST mode;
+     * "from ..." with the lowest tier price when there are quantity tiers
+     */
+    const formatProductPrice = (product) => (hasTiers(product)
+        ? `from ${format(lowestPriceOf(product))}`
+        : format(priceOf(product)));
+
+    return {
+        BASE_CURRENCY,
+        loadRates,
+        getCurrencies,
+        getCurrency,
+        setCurrency,
+        getGstMode,
+        setGstMode,
+        priceOf,
+        lowestPriceOf,
+        hasTiers,
+        getTiers,
+        includesGst,
+        convert,
+        toBase,
+        format,
+        gstNote,
+        formatProductPrice
+    };
+})();
+
+/**
+ * Wishlist Module
+ * Persistent list of saved product ids, most recently saved first
+ */
+const Wishlist = (() => {
+    const STORAGE_KEY = 'rpharma:wishlist';
+    const MAX_ITEMS = 50;
+
+    const getIds = () => {
+        const ids = LocalStore.read(STORAGE_KEY, []);
+        if (!Array.isArray(ids)) return [];
+        return ids.filter(Number.isInteger).slice(0, MAX_ITEMS);
+    };
+
+    const save = (ids) => {
+        LocalStore.write(STORAGE_KEY, ids);
+        notify(ids);
+    };
+
+    const notify = (ids = getIds()) => {
+        document.dispatchEvent(new CustomEvent('wishlist:change', { detail: { ids } }));
+    };
+
+    const has = (id) => getIds().includes(parseInt(id));
+
+    /**
+     * Save or unsave a product. Returns false when the wishlist is full.
+     */
+    const toggle = (id) => {
+        const productId = parseInt(id);
+        if (!Number.isInteger(productId)) return false;
+
+        const ids = getIds();
+        if (ids.includes(productId)) {
+            save(ids.filter(existing => existing !== productId));
+            return true;
+        }
+        if (ids.length >= MAX_ITEMS) return false;
+        save([productId, ...ids]);
+        return true;
+    };
+
+    const clear = () => save([]);
+
+    const count = () => getIds().length;
+
+    // keep other open tabs in sync
+    window.addEventListener('storage', (e) => {
+        if (e.key === STORAGE_KEY) notify();
+    });
+
+    return {
+        MAX_ITEMS,
+        getIds,
+        has,
+        toggle,
+        clear,
+        count
+    };
+})();
+
+/**
+ * Recently Viewed Module
+ * Product detail pages the visitor opened, most recent first
+ */
+const RecentlyViewed = (() => {
+    const STORAGE_KEY = 'rpharma:recentlyViewed';
+    const MAX_ITEMS = 12;
+
+    const getIds = () => {
+        const ids = LocalStore.read(STORAGE_KEY, []);
+        if (!Array.isArray(ids)) return [];
+        return ids.filter(Number.isInteger).slice(0, MAX_ITEMS);
+    };
+
+    const save = (ids) => {
+        LocalStore.write(STORAGE_KEY, ids);
+        document.dispatchEvent(new CustomEvent('recent:change', { detail: { ids } }));
+    };
+
+    /**
+     * Move a product to the front of the list
+     */
+    const record = (id) => {
+        const productId = parseInt(id);
+        if (!Number.isInteger(productId)) return;
+        save([productId, ...getIds().filter(existing => existing !== productId)].slice(0, MAX_ITEMS));
+    };
+
+    const clear = () => save([]);
+
+    return {
+        getIds,
+        record,
+        clear
+    };
+})();
+
+/**
+ * Recommender Module
+ * Related products scored by category, shared ingredients and `details`
+ * keywords (plus curated `pairsWellWith` links and therapeutic areas once
+ * products.json has them), and "others also viewed" from products viewed
+ * together in a browsing session
+ */
+const Recommender = (() => {
+    const SESSION_KEY = 'rpharma:sessionViews';
+    const COVIEWS_KEY = 'rpharma:coviews';
+    const MAX_SESSION_VIEWS = 20;
+    // co-viewed products remembered per product, most frequent first
+    const MAX_COVIEWS_PER_PRODUCT = 12;
+
+    const WEIGHTS = {
+        curated: 10,
+        therapeuticArea: 5,
+        category: 2,
+        ingredient: 3,
+        keyword: 1
+    };
+    const MAX_KEYWORD_SCORE = 4;
+    // a single shared keyword on its own is usually a coincidence
+    const MIN_SCORE = 2;
+
+    // marketing words that appear in most `details` texts
+    const GENERIC_WORDS = new Set([
+        'also', 'best', 'combination', 'contains', 'daily', 'designed', 'effective', 'essential',
+        'formulated', 'from', 'health', 'helps', 'provide', 'provides', 'recommended', 'relief', 'suitable',
+        'support', 'supports', 'taken', 'used', 'typically'
+    ]);
+
+    const keywordCache = new Map();
+
+    const ingredientNames = (product) => new Set(product.ingredients.map(ingredient => ingredient.name.toLowerCase()));
+
+    /**
+     * Distinctive words from a product's details, excluding its own
+     * ingredient names (those are scored separately)
+     */
+    const keywords = (product) => {
+        if (!keywordCache.has(product.id)) {
+            const ingredientTerms = new Set(product.ingredients.flatMap(ingredient => SearchIndex.tokenize(ingredient.name)));
+            keywordCache.set(product.id, new Set(SearchIndex.tokenize(product.details)
+                .filter(term => term.length > 3 && !GENERIC_WORDS.has(term) && !ingredientTerms.has(term))));
+        }
+        return keywordCache.get(product.id);
+    };
+
+    /**
+     * Similarity of `candidate` to `product` as { score, reasons }
+     */
+    const score = (product, candidate) => {
+        let total = 0;
+        const reasons = [];
+
+        if (product.pairsWellWith.includes(candidate.id) || candidate.pairsWellWith.includes(product.id)) {
+            total += WEIGHTS.curated;
+            reasons.push('Pairs well with this product');
+        }
+
+        if (product.therapeuticArea && product.therapeuticArea === candidate.therapeuticArea) {
+            total += WEIGHTS.therapeuticArea;
+            reasons.push(`Same therapeutic area: ${product.therapeuticArea}`);
+        }
+
+        if (product.category && product.category === candidate.category) {
+            total += WEIGHTS.category;
+            reasons.push(`Also in ${product.category}`);
+        }
+
+        const own = ingredientNames(product);
+        const shared = candidate.ingredients.filter(ingredient => own.has(ingredient.name.toLowerCase()));
+        if (shared.length > 0) {
+            total += WEIGHTS.ingredient * shared.length;
+            reasons.push(`Also contains ${shared.map(ingredient => ingredient.name).join(', ')}`);
+        }
+
+        const ownKeywords = keywords(product);
+        const sharedKeywords = [...keywords(candidate)].filter(term => ownKeywords.has(term)).length;
+        total += WEIGHTS.keyword * Math.min(sharedKeywords, MAX_KEYWORD_SCORE);
+
+        return { score: total, reasons };
+    };
+
+    /**
+     * Products most similar to `product`, best first, as
+     * [{ product, score, reasons }]. Unrelated products are left out.
+     */
+    const related = (product, count = 4) => ProductManager.getAll()
+        .filter(candidate => candidate.id !== product.id)
+        .map(candidate => ({ product: candidate, ...score(product, candidate) }))
+        .filter(match => match.score >= MIN_SCORE)
+        .sort((a, b) => b.score - a.score || a.product.name.localeCompare(b.product.name))
+        .slice(0, count);
+
+    /**
+     * Drop products that are no longer in the catalogue and keep only each
+     * product's most frequent co-views, so the stored map stays small
+     */
+    const pruneCoviews = (counts) => {
+        const isKnown = (id) => Boolean(ProductManager.getById(id));
+        const pruned = {};
+        Object.keys(counts).filter(isKnown).forEach(id => {
+            const partners = Object.entries(counts[id] || {})
+                .filter(([other, views]) => isKnown(other) && Number.isFinite(views))
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, MAX_COVIEWS_PER_PRODUCT);
+            if (partners.length > 0) pruned[id] = Object.fromEntries(partners);
+        });
+        return pruned;
+    };
+
+    /**
+     * Record a product detail view. Every product viewed earlier in the
+     * same session counts as viewed together with it, once per session:
+     * viewing a product again (or reloading its page) adds nothing.
+     */
+    const recordView = (id) => {
+        const productId = parseInt(id);
+        if (!Number.isInteger(productId)) return;
+
+        const stored = LocalStore.read(SESSION_KEY, [], { session: true });
+        const sessionViews = Array.isArray(stored) ? stored : [];
+        const earlier = sessionViews.filter(viewed => viewed !== productId);
+        LocalStore.write(SESSION_KEY, [...earlier, productId].slice(-MAX_SESSION_VIEWS), { session: true });
+
+        // its pairs with the rest of the session were counted on the first view
+        if (sessionViews.includes(productId) || earlier.length === 0) return;
+
+        const coviews = LocalStore.read(COVIEWS_KEY, {});
+        const counts = coviews && typeof coviews === 'object' ? coviews : {};
+        earlier.forEach(other => {
+            counts[productId] = counts[productId] || {};
+            counts[other] = counts[other] || {};
+            counts[productId][other] = (counts[productId][other] || 0) + 1;
+            counts[other][productId] = (counts[other][productId] || 0) + 1;
+        });
+        LocalStore.write(COVIEWS_KEY, pruneCoviews(counts));
+    };
+
+    /**
+     * Products most often viewed in the same session as `product`
+     */
+    const alsoViewed = (product, count = 4) => {
+        const coviews = LocalStore.read(COVIEWS_KEY, {}) || {};
+        const counts = coviews[product.id] || {};
+        return Object.keys(counts)
+            .map(id => ({ product: ProductManager.getById(id), views: counts[id] }))
+            .filter(entry => entry.product && entry.product.id !== product.id)
+            .sort((a, b) => b.views - a.views)
+            .slice(0, count)
+            .map(entry => entry.product);
+    };
+
+    return {
+        score,
+        related,
+        recordView,
+        alsoViewed
+    };
+})();
+
+/**
+ * Inquiry Basket Module
+ * Persistent list of products (and quantities) a buyer wants to ask about
+ */
+const InquiryBasket = (() => {
+    const STORAGE_KEY = 'rpharma:inquiry';
+    const MAX_QUANTITY = 100000;
+
+    const clampQuantity = (quantity, min = 1) => {
+        const value = parseInt(quantity);
+        if (!Number.isFinite(value) || value < min) return min;
+        return Math.min(value, MAX_QUANTITY);
+    };
+
+    // minimum order quantity of a product (1 while products are loading)
+    const moqOf = (productId) => {
+        const product = ProductManager.getById(productId);
+        return product ? product.moq : 1;
+    };
+
+    /**
+     * Get basket items as [{ id, quantity }]
+     */
+    const getItems = () => {
+        const items = LocalStore.read(STORAGE_KEY, []);
+        if (!Array.isArray(items)) return [];
+        return items
+            .filter(item => item && Number.isInteger(item.id))
+            .map(item => ({ id: item.id, quantity: clampQuantity(item.quantity) }));
+    };
+
+    const save = (items) => {
+        LocalStore.write(STORAGE_KEY, items);
+        notify(items);
+    };
+
+    const notify = (items = getItems()) => {
+        document.dispatchEvent(new CustomEvent('inquiry:change', { detail: { items } }));
+    };
+
+    /**
+     * Add a product, increasing the quantity when it is already in the
+     * basket. Quantities never go below the product's MOQ.
+     */
+    const add = (id, quantity = 1) => {
+        const productId = parseInt(id);
+        if (!Number.isInteger(productId)) return;
+
+        const moq = moqOf(productId);
+        const items = getItems();
+        const existing = items.find(item => item.id === productId);
+        if (existing) {
+            existing.quantity = clampQuantity(existing.quantity + clampQuantity(quantity), moq);
+        } else {
+            items.push({ id: productId, quantity: clampQuantity(quantity, moq) });
+        }
+        save(items);
+    };
+
+    /**
+     * Replace the quantity of a product already in the basket, raising it
+     * to the product's MOQ when it is below
+     */
+    const setQuantity = (id, quantity) => {
+        const productId = parseInt(id);
+        const items = getItems();
+        const existing = items.find(item => item.id === productId);
+        if (!existing) return;
+        existing.quantity = clampQuantity(quantity, moqOf(productId));
+        save(items);
+    };
+
+    const remove = (id) => {
+        const productId = parseInt(id);
+        save(getItems().filter(item => item.id !== productId));
+    };
+
+    const clear = () => save([]);
+
+    /**
+     * Number of different products in the basket
+     */
+    const count = () => getItems().length;
+
+    // keep other open tabs in sync
+    window.addEventListener('storage', (e) => {
+        if (e.key === STORAGE_KEY) notify();
+    });
+
+    return {
+        getItems,
+        add,
+        setQuantity,
+        remove,
+        clear,
+        count
+    };
+})();
+
+/**
+ * Compare List Module
+ * Persistent selection of up to MAX_ITEMS product ids to compare side by side
+ */
+const CompareList = (() => {
+    const STORAGE_KEY = 'rpharma:compare';
+    const MAX_ITEMS = 4;
+
+    /**
+     * Get selected product ids in the order they were added
+     */
+    const getIds = () => {
+        const ids = LocalStore.read(STORAGE_KEY, []);
+        if (!Array.isArray(ids)) return [];
+        return ids.filter(Number.isInteger).slice(0, MAX_ITEMS);
+    };
+
+    const save = (ids) => {
+        LocalStore.write(STORAGE_KEY, ids);
+        notify(ids);
+    };
+
+    const notify = (ids = getIds()) => {
+        document.dispatchEvent(new CustomEvent('compare:change', { detail: { ids } }));
+    };
+
+    const has = (id) => getIds().includes(parseInt(id));
+
+    const isFull = () => getIds().length >= MAX_ITEMS;
+
+    /**
+     * Add or remove a product. Returns false when the list is already full.
+     */
+    const toggle = (id) => {
+        const productId = parseInt(id);
+        if (!Number.isInteger(productId)) return false;
+
+        const ids = getIds();
+        if (ids.includes(productId)) {
+            save(ids.filter(existing => existing !== productId));
+            return true;
+        }
+        if (ids.length >= MAX_ITEMS) return false;
+        save([...ids, productId]);
+        return true;
+    };
+
+    const remove = (id) => {
+        const productId = parseInt(id);
+        save(getIds().filter(existing => existing !== productId));
+    };
+
+    const clear = () => save([]);
+
+    // keep other open tabs in sync
+    window.addEventListener('storage', (e) => {
+        if (e.key === STORAGE_KEY) notify();
+    });
+
+    return {
+        MAX_ITEMS,
+        getIds,
+        has,
+        isFull,
+        toggle,
+        remove,
+        clear
+    };
+})();
+
+/**
+ * Inquiry Composer Module
+ * Builds pre-filled WhatsApp and email inquiries from product context.
+ * Entries are [{ product, quantity }].
+ */
+const InquiryComposer = (() => {
+    const WHATSAPP_NUMBER = '919324686149';
+    const EMAIL_ADDRESS = 'rpharma198@gmail.com';
+    const GREETING = 'Hello R.Pharma';
+
+    // entries describing what the current page is about (e.g. the detail page product)
+    let pageContext = null;
+
+    const describeEntry = ({ product, quantity }, index) => {
+        const parts = [
+            `${index + 1}. ${product.name} (ID ${product.id}, ${product.category || 'medicine'})`,
+            `Qty: ${quantity || 1}`
+        ];
+        if (typeof product.price === 'number') {
+            const unitPrice = Pricing.format(Pricing.priceOf(product, quantity || 1));
+            parts.push(`Listed price: ${unitPrice} per unit (${Pricing.gstNote(product)})`);
+        }
+        return parts.join(' - ');
+    };
+
+    /**
+     * Compose the plain-text inquiry message, with an optional free-text note
+     */
+    const composeMessage = (entries = [], note = '') => {
+        const lines = entries.length === 0
+            ? [GREETING]
+            : [
+                `${GREETING}, I would like to inquire about the following:`,
+                '',
+                ...entries.map(describeEntry),
+                '',
+                'Please share availability, pricing and delivery details.'
+            ];
+        if (note) lines.push('', note);
+        return lines.join('\n');
+    };
+
+    const composeSubject = (entries = []) => {
+        if (entries.length === 0) return 'Inquiry from website';
+        if (entries.length === 1) return `Product inquiry: ${entries[0].product.name}`;
+        return `Product inquiry: ${entries.length} products`;
+    };
+
+    /**
+     * WhatsApp deep link with the message pre-filled
+     */
+    const whatsappUrl = (entries = [], note = '') =>
+        `https://wa.me/${WHATSAPP_NUMBER}?text=${encodeURIComponent(composeMessage(entries, note))}`;
+
+    /**
+     * mailto: link with subject and body pre-filled
+     */
+    const mailtoUrl = (entries = [], note = '') =>
+        `mailto:${EMAIL_ADDRESS}?subject=${encodeURIComponent(composeSubject(entries))}&body=${encodeURIComponent(composeMessage(entries, note))}`;
+
+    /**
+     * Entries for everything currently in the inquiry basket
+     */
+    const fromBasket = () => InquiryBasket.getItems()
+        .map(item => ({ product: ProductManager.getById(item.id), quantity: item.quantity }))
+        .filter(entry => entry.product);
+
+    /**
+     * Set (or clear with null) the products the current page is about
+     */
+    const setPageContext = (entries) => {
+        pageContext = entries;
+    };
+
+    /**
+     * Entries for inquiry links: the page context, falling back to the basket
+     */
+    const currentEntries = () => pageContext || fromBasket();
+
+    return {
+        composeMessage,
+        whatsappUrl,
+        mailtoUrl,
+        fromBasket,
+        setPageContext,
+        currentEntries
+    };
+})();
+
+/**
+ * UI Manager Module
+ * Handles all DOM interactions and rendering
+ */
+const UIManager = (() => {
+    const CATEGORY_ICONS = {
+        tablets: '💊',
+        capsules: '💊',
+        syrups: '🧴'
+    };
+
+    /**
+     * Render featured products
+     */
+    const displayFeaturedProducts = () => {
+        const container = document.getElementById('featuredProducts');
+        if (!container) return;
+
+        const products = ProductManager.getFeatured();
+        container.innerHTML = products
+            .map(product => ProductCard.render(product, {
+                badges: [ProductManager.getFeaturedLabel(product)],
+                compare: false
+            }))
+            .join('');
+    };
+
+    /**
+     * Render home page category tiles linking to pre-filtered listings
+     */
+    const displayCategoryTiles = () => {
+        const container = document.getElementById('categoryTiles');
+        if (!container) return;
+
+        const counts = {};
+        ProductManager.getAll().forEach(product => {
+            const category = product.category || 'medicine';
+            counts[category] = (counts[category] || 0) + 1;
+        });
+
+        container.innerHTML = Object.keys(counts).sort().map(category => `
+            <a class="category-tile" role="listitem" href="${SitePaths.resolve(`products/index.html?category=${encodeURIComponent(category)}`)}">
+                <span class="category-tile-icon" aria-hidden="true">${CATEGORY_ICONS[category] || '💊'}</span>
+                <span class="category-tile-name">${escapeHtml(category)}</span>
+                <span class="category-tile-count">${counts[category]} product${counts[category] === 1 ? '' : 's'}</span>
+            </a>
+        `).join('');
+    };
+
+    /**
+     * Refresh the inquiry basket counter in the header
+     */
+    const updateInquiryBadge = () => {
+        const badge = document.getElementById('inquiryCount');
+        if (!badge) return;
+
+        const total = InquiryBasket.count();
+        badge.textContent = total > 99 ? '99+' : String(total);
+        badge.hidden = total === 0;
+    };
+
+    /**
+     * Handle every "Add to inquiry" button on the page, including cards
+     * rendered after load. A button may point at a quantity input through
+     * `data-quantity-from="<selector>"`.
+     */
+    const bindInquiryButtons = () => {
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-inquiry-add]');
+            if (!button) return;
+
+            const quantityInput = button.dataset.quantityFrom
+                ? document.querySelector(button.dataset.quantityFrom)
+                : null;
+            // without a quantity input, start at the minimum order quantity
+            const product = ProductManager.getById(button.dataset.inquiryAdd);
+            const moq = product ? product.moq : 1;
+            InquiryBasket.add(button.dataset.inquiryAdd, quantityInput ? quantityInput.value : moq);
+
+            const label = button.textContent;
+            button.textContent = 'Added ✓';
+            button.disabled = true;
+            setTimeout(() => {
+                button.textContent = label;
+                button.disabled = false;
+            }, 1500);
+        });
+    };
+
+    /**
+     * Price in the selected currency with its GST note; kept current by
+     * `updatePrices` when the visitor switches currency or GST mode
+     */
+    const createPriceTag = (product) =>
+        `<span class="price-tag" data-price-for="${product.id}">${priceTagContent(product)}</span>`;
+
+    const priceTagContent = (product) =>
+        `${Pricing.formatProductPrice(product)} <small class="price-tax">${Pricing.gstNote(product)}</small>`;
+
+    /**
+     * Re-format every price tag on the page
+     */
+    const updatePrices = () => {
+        document.querySelectorAll('[data-price-for]').forEach(tag => {
+            const product = ProductManager.getById(tag.dataset.priceFor);
+            if (product) tag.innerHTML = priceTagContent(product);
+        });
+    };
+
+    /**
+     * Currency and GST selectors in the header, next to the basket
+     */
+    const initPricingSwitcher = () => {
+        const actions = document.querySelector('.nav-actions');
+        if (!actions || actions.querySelector('.pricing-switcher')) return;
+
+        const switcher = document.createElement('div');
+        switcher.className = 'pricing-switcher';
+        actions.insertBefore(switcher, actions.firstChild);
+
+        const render = () => {
+            const currency = Pricing.getCurrency();
+            const gst = Pricing.getGstMode();
+            switcher.innerHTML = `
+                <label class="sr-only" for="currencySelect">Currency</label>
+                <select id="currencySelect">
+                    ${Pricing.getCurrencies().map(code => `<option value="${code}"${code === currency ? ' selected' : ''}>${code}</option>`).join('')}
+                </select>
+                <label class="sr-only" for="gstSelect">GST</label>
+                <select id="gstSelect">
+                    <option value="exclusive"${gst === 'exclusive' ? ' selected' : ''}>Excl. GST</option>
+                    <option value="inclusive"${gst === 'inclusive' ? ' selected' : ''}>Incl. GST</option>
+                </select>
+            `;
+        };
+
+        switcher.addEventListener('change', (e) => {
+            if (e.target.id === 'currencySelect') Pricing.setCurrency(e.target.value);
+            if (e.target.id === 'gstSelect') Pricing.setGstMode(e.target.value);
+        });
+
+        render();
+        document.addEventListener('pricing:change', render);
+        Pricing.loadRates().then(render);
+    };
+
+    /**
+     * Heart button saving a product to the wishlist, placed over a card image
+     */
+    const createWishlistToggle = (product) => {
+        const saved = Wishlist.has(product.id);
+        return `<button type="button" class="wishlist-toggle" data-wishlist-toggle="${product.id}" aria-pressed="${saved}" aria-label="Save ${escapeHtml(product.name)} to wishlist">${saved ? '♥' : '♡'}</button>`;
+    };
+
+    /**
+     * Sync hearts and the header wishlist counter with the stored list
+     */
+    const updateWishlist = () => {
+        const ids = Wishlist.getIds();
+        document.querySelectorAll('[data-wishlist-toggle]').forEach(button => {
+            const saved = ids.includes(parseInt(button.dataset.wishlistToggle));
+            button.setAttribute('aria-pressed', String(saved));
+            button.textContent = saved ? '♥' : '♡';
+        });
+
+        const badge = document.getElementById('wishlistCount');
+        if (badge) {
+            badge.textContent = String(ids.length);
+            badge.hidden = ids.length === 0;
+        }
+    };
+
+    const bindWishlistToggles = () => {
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-wishlist-toggle]');
+            if (!button) return;
+
+            if (!Wishlist.toggle(button.dataset.wishlistToggle)) {
+                button.title = `Your wishlist is full (${Wishlist.MAX_ITEMS} products)`;
+                button.classList.add('is-full');
+                setTimeout(() => button.classList.remove('is-full'), 1500);
+            }
+        });
+    };
+
+    /**
+     * Render the recently viewed strip into `#recentlyViewed`; its
+     * `#recentlyViewedSection` stays hidden until something was viewed
+     */
+    const displayRecentlyViewed = () => {
+        const section = document.getElementById('recentlyViewedSection');
+        const container = document.getElementById('recentlyViewed');
+        if (!section || !container) return;
+
+        const products = RecentlyViewed.getIds().map(ProductManager.getById).filter(Boolean);
+        section.hidden = products.length === 0;
+
+        container.innerHTML = products.map(product => `
+            <li class="recent-item">
+                <a href="${SitePaths.productUrl(product)}">
+                    <img src="${Carousel.primaryImageUrl(product.icon)}" alt="" loading="lazy">
+                    <span class="recent-item-name">${escapeHtml(product.name)}</span>
+                    <span class="recent-item-description">${escapeHtml(product.description)}</span>
+                </a>
+            </li>
+        `).join('');
+    };
+
+    /**
+     * "Compare" toggle button for a product card or detail page
+     */
+    const createCompareToggle = (productId, className = 'btn btn-sm btn-compare') => {
+        const selected = CompareList.has(productId);
+        return `<button type="button" class="${className}" data-compare-toggle="${productId}" aria-pressed="${selected}">${selected ? '✓ Comparing' : 'Compare'}</button>`;
+    };
+
+    /**
+     * Sync every compare toggle on the page with the stored selection
+     */
+    const updateCompareToggles = () => {
+        const ids = CompareList.getIds();
+        document.querySelectorAll('[data-compare-toggle]').forEach(button => {
+            const selected = ids.includes(parseInt(button.dataset.compareToggle));
+            button.setAttribute('aria-pressed', String(selected));
+            button.textContent = selected ? '✓ Comparing' : 'Compare';
+        });
+    };
+
+    /**
+     * Handle every compare toggle on the page, including cards rendered
+     * after load
+     */
+    const bindCompareToggles = () => {
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-compare-toggle]');
+            if (!button) return;
+
+            if (!CompareList.toggle(button.dataset.compareToggle)) {
+                button.textContent = `Max ${CompareList.MAX_ITEMS} products`;
+                button.disabled = true;
+                setTimeout(() => {
+                    button.disabled = false;
+                    updateCompareToggles();
+                }, 1500);
+            }
+        });
+    };
+
+    /**
+     * Render the floating compare tray (hidden while the selection is empty)
+     */
+    const updateCompareTray = () => {
+        let tray = document.getElementById('compareTray');
+        if (!tray) {
+            tray = document.createElement('aside');
+            tray.id = 'compareTray';
+            tray.className = 'compare-tray';
+            tray.setAttribute('aria-label', 'Products selected for comparison');
+            tray.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest('[data-compare-remove]');
+                if (removeBtn) CompareList.remove(removeBtn.dataset.compareRemove);
+                if (e.target.closest('[data-compare-clear]')) CompareList.clear();
+            });
+            document.body.appendChild(tray);
+        }
+
+        const products = CompareList.getIds().map(ProductManager.getById).filter(Boolean);
+        tray.hidden = products.length === 0;
+        if (products.length === 0) {
+            tray.innerHTML = '';
+            return;
+        }
+
+        tray.innerHTML = `
+            <ul class="compare-tray-items">
+                ${products.map(product => `
+                    <li>
+                        <span>${escapeHtml(product.name)}</span>
+                        <button type="button" data-compare-remove="${product.id}" aria-label="Remove ${escapeHtml(product.name)} from comparison">×</button>
+                    </li>
+                `).join('')}
+            </ul>
+            <div class="compare-tray-actions">
+                <button type="button" class="btn btn-sm btn-secondary" data-compare-clear>Clear</button>
+                <a class="btn btn-sm btn-primary${products.length < 2 ? ' disabled' : ''}" href="${SitePaths.resolve('products/compare.html')}"${products.length < 2 ? ' aria-disabled="true"' : ''}>Compare (${products.length}/${CompareList.MAX_ITEMS})</a>
+            </div>
+        `;
+    };
+
+    /**
+     * Point the floating WhatsApp button and every `[data-inquiry-channel]`
+     * link ("whatsapp" or "email") at a pre-filled inquiry
+     */
+    const updateInquiryLinks = () => {
+        const entries = InquiryComposer.currentEntries();
+
+        document.querySelectorAll('.whatsapp-fab a, [data-inquiry-channel="whatsapp"]').forEach(link => {
+            link.href = InquiryComposer.whatsappUrl(entries);
+        });
+        document.querySelectorAll('[data-inquiry-channel="email"]').forEach(link => {
+            link.href = InquiryComposer.mailtoUrl(entries);
+        });
+    };
+
+    /**
+     * Escape HTML to prevent XSS (missing values render as '')
+     */
+    const escapeHtml = (unsafe) => {
+        return String(unsafe ?? '')
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#039;");
+    };
+
+    return {
+        createPriceTag,
+        updatePrices,
+        initPricingSwitcher,
+        displayFeaturedProducts,
+        displayCategoryTiles,
+        updateInquiryBadge,
+        bindInquiryButtons,
+        createWishlistToggle,
+        updateWishlist,
+        bindWishlistToggles,
+        displayRecentlyViewed,
+        createCompareToggle,
+        updateCompareToggles,
+        bindCompareToggles,
+        updateCompareTray,
+        updateInquiryLinks,
+        escapeHtml
+    };
+})();
+
+/**
+ * Product Card Module
+ * The one product card used by the home page, listing, wishlist and
+ * related sections.
+ *
+ * Variants:
+ *   grid     image on top, details / inquiry / compare actions (default)
+ *   list     image beside the text, adds dosage form and pack size
+ *   compact  smaller card with a details link only
+ *
+ * Options:
+ *   badges     labels over the image (empty values are skipped)
+ *   notes      lines under the description: { text } or pre-escaped
+ *              { html }, with an optional className
+ *   actions    extra action HTML, after the built-in buttons
+ *   highlight  (text) => HTML for the name and description, e.g. search marks
+ *   compare    show the compare toggle (grid and list only, default true)
+ */
+const ProductCard = (() => {
+    const VARIANTS = ['grid', 'list', 'compact'];
+
+    const renderBadges = (badges) => {
+        const labels = badges.filter(Boolean);
+        if (labels.length === 0) return '';
+        return `<div class="product-badges">${labels.map(label => `<span class="product-badge">${UIManager.escapeHtml(label)}</span>`).join('')}</div>`;
+    };
+
+    const renderNotes = (notes) => notes
+        .filter(note => note && (note.text || note.html))
+        .map(note => `<p class="product-note${note.className ? ` ${UIManager.escapeHtml(note.className)}` : ''}">${note.html || UIManager.escapeHtml(note.text)}</p>`)
+        .join('');
+
+    const renderMeta = (product) => {
+        const parts = [product.dosageForm, product.packSize].filter(Boolean);
+        if (parts.length === 0) return '';
+        return `<p class="product-meta">${parts.map(UIManager.escapeHtml).join(' · ')}</p>`;
+    };
+
+    const renderActions = (product, { variant, compare, actions }) => {
+        const buttons = [`<a href="${SitePaths.productUrl(product)}" class="btn btn-sm btn-secondary">View Details</a>`];
+        if (variant !== 'compact') {
+            buttons.push(`<button type="button" class="btn btn-sm btn-primary" data-inquiry-add="${product.id}">Add to inquiry</button>`);
+            if (compare) buttons.push(UIManager.createCompareToggle(product.id));
+        }
+        return `<div class="product-actions">${[...buttons, ...actions].join('')}</div>`;
+    };
+
+    /**
+     * Card HTML for a product
+     */
+    const render = (product, options = {}) => {
+        const {
+            variant = 'grid',
+            badges = [],
+            notes = [],
+            actions = [],
+            highlight = UIManager.escapeHtml,
+            compare = true
+        } = options;
+        const type = VARIANTS.includes(variant) ? variant : 'grid';
+
+        return `
+            <div class="product-card product-card-${type}" role="listitem" data-product-id="${product.id}">
+                <div class="product-image product-image-carousel" data-folder="${encodeURIComponent(product.icon || '')}"></div>
+                ${renderBadges(badges)}
+                ${UIManager.createWishlistToggle(product)}
+                <div class="product-info">
+                    <span class="product-category">${UIManager.escapeHtml(product.category || 'Medicine')}</span>
+                    <h3 class="product-name">${highlight(product.name)}</h3>
+                    <p class="product-description">${highlight(product.description)}</p>
+                    ${type === 'list' ? renderMeta(product) : ''}
+                    ${renderNotes(notes)}
+                    <div class="product-price">${UIManager.createPriceTag(product)}</div>
+                    ${renderActions(product, { variant: type, compare, actions })}
+                </div>
+            </div>
+        `;
+    };
+
+    /**
+     * Card as a detached element, for callers that keep card nodes around
+     */
+    const create = (product, options) => {
+        const template = document.createElement('template');
+        template.innerHTML = render(product, options).trim();
+        return template.content.firstElementChild;
+    };
+
+    return {
+        VARIANTS,
+        render,
+        create
+    };
+})();
+
+/**
+ * Inquiry Outbox Module
+ * IndexedDB queue of form submissions that could not be delivered yet.
+ * Each record stores its own endpoint so any page can flush the queue.
+ */
+const InquiryOutbox = (() => {
+    const DB_NAME = 'rpharma';
+    const DB_VERSION = 1;
+    const STORE = 'outbox';
+
+    let dbPromise = null;
+
+    const openDb = () => {
+        if (dbPromise) return dbPromise;
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // allow a later retry if opening failed
+        dbPromise.catch(() => { dbPromise = null; });
+        return dbPromise;
+    };
+
+    const withStore = async (mode, action) => {
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            const request = action(tx.objectStore(STORE));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+        });
+    };
+
+    /**
+     * Queue a payload for later delivery to `endpoint`
+     */
+    const add = (endpoint, payload) => withStore('readwrite', store => store.add({
+        endpoint,
+        payload,
+        queuedAt: new Date().toISOString()
+    }));
+
+    const getAll = () => withStore('readonly', store => store.getAll());
+
+    const remove = (id) => withStore('readwrite', store => store.delete(id));
+
+    /**
+     * POST a payload as JSON. Resolves true when delivered, false when the
+     * request should be retried later (offline, network or server error).
+     * Throws for rejected submissions (4xx) that retrying will not fix.
+     */
+    const send = async (endpoint, payload) => {
+        let response;
+        try {
+            response = await fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+        } catch (error) {
+            return false;
+        }
+        if (response.ok) return true;
+        if (response.status >= 500 || response.status === 429) return false;
+        throw new Error(`Submission rejected (status ${response.status})`);
+    };
+
+    /**
+     * Try to deliver every queued record, returning how many were sent
+     */
+    const deliverQueued = async () => {
+        if (!navigator.onLine) return 0;
+
+        let records = [];
+        try {
+            records = await getAll();
+        } catch (error) {
+            return 0;
+        }
+
+        let sent = 0;
+        for (const record of records) {
+            try {
+                // eslint-disable-next-line no-await-in-loop
+                const delivered = await send(record.endpoint, record.payload).catch((error) => {
+                    console.error('Dropping rejected inquiry from outbox:', error);
+                    return null;
+                });
+                if (delivered === false) break;
+                if (delivered) sent++;
+                // eslint-disable-next-line no-await-in-loop
+                await remove(record.id);
+            } catch (error) {
+                // IndexedDB failed; what is left stays queued for the next flush
+                console.error('Could not update the inquiry outbox:', error);
+                break;
+            }
+        }
+        if (sent > 0) console.log(`✓ Sent ${sent} queued inquir${sent === 1 ? 'y' : 'ies'}`);
+        return sent;
+    };
+
+    let flushing = null;
+
+    /**
+     * Deliver the queue; calls made while a flush is running (startup and
+     * the `online` event) share it instead of sending every record twice
+     */
+    const flush = () => {
+        if (!flushing) {
+            flushing = deliverQueued().finally(() => {
+                flushing = null;
+            });
+        }
+        return flushing;
+    };
+
+    return {
+        add,
+        getAll,
+        send,
+        flush
+    };
+})();
+
+/**
+ * Contact Form Module
+ * Validates and submits the inquiry form on the contact page. The endpoint
+ * comes from the form's `data-endpoint` attribute (set at deploy time from
+ * the INQUIRY_ENDPOINT repository variable) and can be overridden with
+ * a JSON string in `localStorage['rpharma:inquiryEndpoint']` (e.g. a local
+ * stub server, see scripts/inquiry-stub-server.js).
+ */
+const ContactForm = (() => {
+    const ENDPOINT_OVERRIDE_KEY = 'rpharma:inquiryEndpoint';
+
+    // Indian mobile (optional +91 / 0 prefix), landline with its STD code
+    // after 0 or +91 (022 2774 1234), or any E.164 number
+    const INDIAN_PHONE = /^(?:(?:\+?91|0)?[6-9]\d{9}|(?:\+?91|0)[1-9]\d{9})$/;
+    const INTERNATIONAL_PHONE = /^\+[1-9]\d{6,14}$/;
+    const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+    const normalizePhone = (value) => value.replace(/[\s().-]/g, '').replace(/^00/, '+');
+
+    /**
+     * Validation rules per field; each returns an error message or ''
+     */
+    const rules = {
+        name: (value) => {
+            if (!value) return 'Please enter your name.';
+            if (value.length < 2) return 'Name looks too short.';
+            if (value.length > 100) return 'Name must be 100 characters or fewer.';
+            return '';
+        },
+        phone: (value) => {
+            if (!value) return 'Please enter a phone number.';
+            const phone = normalizePhone(value);
+            if (!INDIAN_PHONE.test(phone) && !INTERNATIONAL_PHONE.test(phone)) {
+                return 'Enter a 10-digit Indian mobile number, a landline with its STD code (e.g. 022 2774 1234) or an international number starting with +country code.';
+            }
+            return '';
+        },
+        email: (value) => {
+            if (!value) return 'Please enter your email address.';
+            if (!EMAIL.test(value)) return 'Please enter a valid email address.';
+            return '';
+        },
+        company: (value) => (value.length > 120 ? 'Company name must be 120 characters or fewer.' : ''),
+        message: (value) => {
+            if (!value) return 'Please tell us what you are looking for.';
+            if (value.length < 10) return 'Message must be at least 10 characters.';
+            if (value.length > 2000) return 'Message must be 2000 characters or fewer.';
+            return '';
+        }
+    };
+
+    /**
+     * Validate a plain object of field values, returning { field: message }
+     */
+    const validate = (values) => {
+        const errors = {};
+        Object.keys(rules).forEach(field => {
+            const message = rules[field]((values[field] || '').trim());
+            if (message) errors[field] = message;
+        });
+        return errors;
+    };
+
+    const getEndpoint = (form) => {
+        const override = LocalStore.read(ENDPOINT_OVERRIDE_KEY, '');
+        return (typeof override === 'string' && override) || form.dataset.endpoint || '';
+    };
+
+    /**
+     * Product to pre-select: `?product=<id>`, or the detail page we came from
+     */
+    const getPreselectedProductId = () => {
+        const fromQuery = new URLSearchParams(window.location.search).get('product');
+        if (fromQuery) return parseInt(fromQuery);
+
+        try {
+            const referrer = new URL(document.referrer);
+            let product = null;
+            if (referrer.pathname.endsWith('product-detail.html')) {
+                product = referrer.searchParams.has('p')
+                    ? ProductManager.getBySlug(referrer.searchParams.get('p'))
+                    : ProductManager.getById(referrer.searchParams.get('id'));
+            } else {
+                // pre-rendered product pages are named by slug
+                const page = referrer.pathname.match(/\/products\/p\/([a-z0-9-]+)\.html$/);
+                if (page) product = ProductManager.getBySlug(page[1]);
+            }
+            return product ? product.id : null;
+        } catch (error) {
+            // no or invalid referrer
+        }
+        return null;
+    };
+
+    const showFieldError = (input, message = '') => {
+        const errorEl = document.getElementById(`${input.id}Error`);
+        input.closest('.form-group').classList.toggle('has-error', Boolean(message));
+        input.setAttribute('aria-invalid', message ? 'true' : 'false');
+        if (errorEl) errorEl.textContent = message;
+    };
+
+    const showErrors = (form, errors) => {
+        Object.keys(rules).forEach(field => showFieldError(form.elements[field], errors[field]));
+    };
+
+    const setStatus = (message, type = '') => {
+        const status = document.getElementById('contactFormStatus');
+        if (!status) return;
+        status.textContent = message;
+        status.className = `form-status ${type}`.trim();
+    };
+
+    const readValues = (form) => {
+        const values = {};
+        ['name', 'phone', 'email', 'company', 'productId', 'message'].forEach(field => {
+            values[field] = (form.elements[field].value || '').trim();
+        });
+        return values;
+    };
+
+    const buildPayload = (values) => {
+        const product = values.productId ? ProductManager.getById(values.productId) : null;
+        return {
+            name: values.name,
+            phone: normalizePhone(values.phone),
+            email: values.email,
+            company: values.company,
+            productId: product ? product.id : null,
+            productName: product ? product.name : null,
+            message: values.message,
+            page: window.location.href,
+            submittedAt: new Date().toISOString()
+        };
+    };
+
+    const handleSubmit = async (e) => {
+        const form = e.target;
+        e.preventDefault();
+
+        const values = readValues(form);
+        const errors = validate(values);
+        showErrors(form, errors);
+
+        const firstInvalid = Object.keys(rules).find(field => errors[field]);
+        if (firstInvalid) {
+            form.elements[firstInvalid].focus();
+            setStatus('Please correct the highlighted fields.', 'error');
+            return;
+        }
+
+        const payload = buildPayload(values);
+        const endpoint = getEndpoint(form);
+
+        // No endpoint configured: hand the inquiry to the visitor's mail app
+        if (!endpoint) {
+            const product = payload.productId ? ProductManager.getById(payload.productId) : null;
+            const entries = product ? [{ product, quantity: 1 }] : [];
+            const signature = [payload.name, payload.company, payload.phone].filter(Boolean).join('\n');
+            const note = `${payload.message}\n\n${signature}`;
+            window.location.href = InquiryComposer.mailtoUrl(entries, note);
+            setStatus('Your email app has been opened with the inquiry.', 'success');
+            return;
+        }
 
-    /**
-     * Fetch and cache products from JSON
-     */
-    const loadProducts = async () => {
-        try {
-            // Resolve JSON path relative to the current page so pages inside
-            // the `products/` folder fetch the local `products.json` file
-            const productsPath = window.location.pathname.includes('/products/')
-                ? 'products.json'
-                : 'products/products.json';
+        const submitBtn = form.querySelector('[type="submit"]');
+        submitBtn.disabled = true;
+        setStatus('Sending…');
 
-            const response = await fetch(productsPath);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+        try {
+            const delivered = navigator.onLine && await InquiryOutbox.send(endpoint, payload);
+            if (delivered) {
+                form.reset();
+                setStatus('Thank you! Your inquiry has been sent. We respond within 24 hours.', 'success');
+            } else {
+                await InquiryOutbox.add(endpoint, payload);
+                form.reset();
+                setStatus(navigator.onLine
+                    ? 'We could not reach our server right now. Your inquiry has been saved and will be sent automatically.'
+                    : 'You appear to be offline. Your inquiry has been saved and will be sent automatically when you are back online.', 'success');
             }
-            products = await response.json();
-            console.log(`✓ Loaded ${products.length} products`);
-            return products;
         } catch (error) {
-            console.error('Failed to load products:', error);
-            return [];
+            console.error('Inquiry submission failed:', error);
+            setStatus('Sorry, your inquiry could not be sent. Please try again or contact us on WhatsApp.', 'error');
+        } finally {
+            submitBtn.disabled = false;
         }
     };
 
     /**
-     * Get all products
+     * Wire up the contact form if it exists on this page
      */
-    const getAll = () => products;
+    const init = () => {
+        const form = document.getElementById('contactForm');
+        if (!form) return;
 
-    /**
-     * Get product by ID
-     */
-    const getById = (id) => products.find(p => p.id === parseInt(id));
+        const productSelect = form.elements.productId;
+        ProductManager.getAll().forEach(product => {
+            productSelect.add(new Option(product.name, product.id));
+        });
 
-    /**
-     * Get featured products (first 6)
-     */
-    const getFeatured = (count = 6) => products.slice(0, count);
+        const preselected = getPreselectedProductId();
+        if (preselected && ProductManager.getById(preselected)) {
+            productSelect.value = String(preselected);
+        }
 
-    /**
-     * Search products by name or description
-     */
-    const search = (query) => {
-        const q = query.toLowerCase();
-        return products.filter(p => 
-            p.name.toLowerCase().includes(q) ||
-            p.description.toLowerCase().includes(q)
-        );
+        // Start the message from the inquiry basket when it has items
+        const basketEntries = InquiryComposer.fromBasket();
+        if (basketEntries.length > 0 && !form.elements.message.value) {
+            form.elements.message.value = InquiryComposer.composeMessage(basketEntries);
+        }
+
+        form.addEventListener('submit', handleSubmit);
+
+        // Re-validate a field once the visitor leaves it
+        form.addEventListener('focusout', (e) => {
+            const field = e.target.name;
+            if (!rules[field]) return;
+            showFieldError(e.target, validate(readValues(form))[field]);
+        });
     };
 
     return {
-        loadProducts,
-        getAll,
-        getById,
-        getFeatured,
-        search
+        init,
+        validate
     };
 })();
 
 /**
- * UI Manager Module
- * Handles all DOM interactions and rendering
+ * Header Search Module
+ * Search box with a keyboard-navigable suggestion list, added to the header
+ * of every page. Picking a suggestion opens that product; submitting opens
+ * the full listing with the query applied.
  */
-const UIManager = (() => {
+const HeaderSearch = (() => {
+    const MAX_SUGGESTIONS = 6;
+    const DEBOUNCE_MS = 120;
+
+    let input = null;
+    let list = null;
+    let options = [];
+    let activeIndex = -1;
+    let debounceTimer = null;
+
+    const listingUrl = (query) => SitePaths.resolve(`products/index.html?q=${encodeURIComponent(query)}`);
+
     /**
-     * Create product card HTML
+     * Primary image in the product's icon folder
      */
-    const createProductCard = (product) => {
-        return `
-            <div class="product-card" role="listitem">
-                <div class="product-image product-image-carousel" data-folder="${encodeURIComponent(product.icon || '')}"></div>
-                <div class="product-info">
-                    <span class="product-category">${product.category || 'Medicine'}</span>
-                    <h3 class="product-name">${escapeHtml(product.name)}</h3>
-                    <p class="product-description">${escapeHtml(product.description)}</p>
-                    <div class="product-price">₹${product.price.toFixed(2)}</div>
-                    <div class="product-actions">
-                        <a href="products/product-detail.html?id=${product.id}" class="btn btn-sm btn-secondary">View Details</a>
-                    </div>
-                </div>
-            </div>
+    const thumbnailUrl = (product) => Carousel.primaryImageUrl(product.icon);
+
+    const createForm = () => {
+        const form = document.createElement('form');
+        form.className = 'header-search';
+        form.setAttribute('role', 'search');
+        form.action = SitePaths.resolve('products/index.html');
+        form.innerHTML = `
+            <label for="headerSearchInput" class="sr-only">Search products</label>
+            <input type="search" id="headerSearchInput" name="q" placeholder="Search products or salts…"
+                autocomplete="off" role="combobox" aria-autocomplete="list" aria-expanded="false"
+                aria-controls="headerSearchList">
+            <ul id="headerSearchList" class="header-search-list" role="listbox" aria-label="Product suggestions" hidden></ul>
         `;
+        return form;
     };
 
-    /**
-     * Render featured products
-     */
-    const displayFeaturedProducts = () => {
-        const container = document.getElementById('featuredProducts');
-        if (!container) return;
+    const setActive = (index) => {
+        activeIndex = index;
+        options.forEach((option, i) => option.setAttribute('aria-selected', i === index ? 'true' : 'false'));
+        if (index >= 0) {
+            input.setAttribute('aria-activedescendant', options[index].id);
+            options[index].scrollIntoView({ block: 'nearest' });
+        } else {
+            input.removeAttribute('aria-activedescendant');
+        }
+    };
 
-        const products = ProductManager.getFeatured();
-        container.innerHTML = products.map(createProductCard).join('');
+    const close = () => {
+        list.hidden = true;
+        input.setAttribute('aria-expanded', 'false');
+        setActive(-1);
+    };
+
+    const render = () => {
+        const query = input.value.trim();
+        if (!query) {
+            list.innerHTML = '';
+            options = [];
+            close();
+            return;
+        }
+
+        const results = ProductManager.search(query).slice(0, MAX_SUGGESTIONS);
+        const escape = UIManager.escapeHtml;
+
+        list.innerHTML = results.map((product, i) => `
+            <li id="headerSearchOption-${i}" role="option" aria-selected="false" data-href="${SitePaths.productUrl(product)}">
+                <img src="${thumbnailUrl(product)}" alt="" class="header-search-thumb" loading="lazy" onerror="this.style.visibility='hidden'">
+                <span class="header-search-text">
+                    <span class="header-search-name">${SearchIndex.highlight(product.name, query)}</span>
+                    <span class="header-search-category">${escape(product.category || 'Medicine')}</span>
+                </span>
+            </li>
+        `).join('') + `
+            <li id="headerSearchOption-all" role="option" aria-selected="false" class="header-search-all" data-href="${listingUrl(query)}">
+                ${results.length > 0 ? 'See all results for' : 'No quick matches — search the catalogue for'} “${escape(query)}”
+            </li>
+        `;
+
+        options = Array.from(list.querySelectorAll('[role="option"]'));
+        list.hidden = false;
+        input.setAttribute('aria-expanded', 'true');
+        setActive(-1);
+    };
+
+    const onKeyDown = (e) => {
+        if (list.hidden && e.key === 'ArrowDown' && input.value.trim()) {
+            render();
+        }
+        if (list.hidden) return;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                setActive((activeIndex + 1) % options.length);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                setActive(activeIndex <= 0 ? options.length - 1 : activeIndex - 1);
+                break;
+            case 'Enter':
+                if (activeIndex >= 0) {
+                    e.preventDefault();
+                    window.location.href = options[activeIndex].dataset.href;
+                }
+                break;
+            case 'Escape':
+                close();
+                break;
+            default:
+        }
     };
 
     /**
-     * Escape HTML to prevent XSS
+     * Add the search box to the header of the current page
      */
-    const escapeHtml = (unsafe) => {
-        return unsafe
-            .replace(/&/g, "&amp;")
-            .replace(/</g, "&lt;")
-            .replace(/>/g, "&gt;")
-            .replace(/"/g, "&quot;")
-            .replace(/'/g, "&#039;");
+    const init = () => {
+        const wrapper = document.querySelector('.nav-wrapper');
+        if (!wrapper || wrapper.querySelector('.header-search')) return;
+
+        const form = createForm();
+        wrapper.insertBefore(form, wrapper.querySelector('.nav-actions'));
+
+        input = form.querySelector('input');
+        list = form.querySelector('ul');
+
+        input.addEventListener('input', () => {
+            clearTimeout(debounceTimer);
+            debounceTimer = setTimeout(render, DEBOUNCE_MS);
+        });
+        input.addEventListener('keydown', onKeyDown);
+        input.addEventListener('focus', () => {
+            if (input.value.trim()) render();
+        });
+
+        // mousedown keeps focus in the input until the navigation happens
+        list.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (!option) return;
+            e.preventDefault();
+            window.location.href = option.dataset.href;
+        });
+
+        form.addEventListener('focusout', (e) => {
+            if (!form.contains(e.relatedTarget)) close();
+        });
+        form.addEventListener('submit', (e) => {
+            if (!input.value.trim()) e.preventDefault();
+        });
     };
 
     return {
-        displayFeaturedProducts,
-        escapeHtml
+        init
     };
 })();
 
@@ -127,11 +2064,57 @@ const UIManager = (() => {
  * Event Listeners
  */
 document.addEventListener('DOMContentLoaded', async () => {
-    // Load products
+    // Header search is usable before the catalogue arrives (submits to the listing)
+    HeaderSearch.init();
+    UIManager.initPricingSwitcher();
+
+    // Load products (and the image manifest alongside)
+    Carousel.loadManifest();
     await ProductManager.loadProducts();
     
-    // Render featured products
+    // Render featured products and category tiles
     UIManager.displayFeaturedProducts();
+    UIManager.displayCategoryTiles();
+
+    // Inquiry basket: header badge and "Add to inquiry" buttons
+    UIManager.updateInquiryBadge();
+    UIManager.bindInquiryButtons();
+    document.addEventListener('inquiry:change', UIManager.updateInquiryBadge);
+
+    // Prices follow the selected currency and GST mode
+    document.addEventListener('pricing:change', UIManager.updatePrices);
+    document.addEventListener('pricing:change', UIManager.updateInquiryLinks);
+
+    // Wishlist hearts and header counter
+    UIManager.updateWishlist();
+    UIManager.bindWishlistToggles();
+    document.addEventListener('wishlist:change', UIManager.updateWishlist);
+
+    // Recently viewed strip (home page and listing)
+    UIManager.displayRecentlyViewed();
+    document.addEventListener('recent:change', UIManager.displayRecentlyViewed);
+    const clearRecentBtn = document.getElementById('clearRecentlyViewedBtn');
+    if (clearRecentBtn) clearRecentBtn.addEventListener('click', RecentlyViewed.clear);
+
+    // Product comparison: toggles and the floating tray (the compare page
+    // itself has no tray)
+    UIManager.bindCompareToggles();
+    document.addEventListener('compare:change', UIManager.updateCompareToggles);
+    if (!document.getElementById('compareView')) {
+        UIManager.updateCompareTray();
+        document.addEventListener('compare:change', UIManager.updateCompareTray);
+    }
+
+    // Pre-filled WhatsApp / email inquiry links
+    UIManager.updateInquiryLinks();
+    document.addEventListener('inquiry:change', UIManager.updateInquiryLinks);
+
+    // Contact form and queued offline submissions
+    ContactForm.init();
+    const flushOutbox = () => InquiryOutbox.flush()
+        .catch(error => console.error('Could not send queued inquiries:', error));
+    flushOutbox();
+    window.addEventListener('online', flushOutbox);
 
     // Initialize auto carousels for product cards and other pages
     Carousel.initAutoCarousels();
@@ -160,13 +2143,300 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 });
 
+/* Lightbox ----------------------------------------------------------- */
+const Lightbox = (() => {
+    const MIN_SCALE = 1;
+    const MAX_SCALE = 5;
+    const ZOOM_STEP = 1.5;
+    const SWIPE_THRESHOLD = 50;
+
+    let root = null;
+    let stage = null;
+    let imageEl = null;
+    let counter = null;
+    let thumbs = null;
+    let images = [];
+    let index = 0;
+    let returnFocus = null;
+
+    // zoom/pan state: translate (x, y) in px from the stage centre, then scale
+    const view = { scale: 1, x: 0, y: 0 };
+    const pointers = new Map();
+    let gesture = null;
+    let lastTap = 0;
+
+    const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+    function build() {
+        root = document.createElement('div');
+        root.className = 'lightbox';
+        root.hidden = true;
+        root.setAttribute('role', 'dialog');
+        root.setAttribute('aria-modal', 'true');
+        root.setAttribute('aria-label', 'Product images');
+        root.innerHTML = `
+            <div class="lightbox-toolbar">
+                <span class="lightbox-counter" aria-live="polite"></span>
+                <button type="button" class="lightbox-btn" data-action="zoom-out" aria-label="Zoom out">−</button>
+                <button type="button" class="lightbox-btn" data-action="zoom-in" aria-label="Zoom in">+</button>
+                <button type="button" class="lightbox-btn" data-action="close" aria-label="Close">×</button>
+            </div>
+            <div class="lightbox-stage">
+                <img class="lightbox-image" alt="" draggable="false">
+            </div>
+            <button type="button" class="lightbox-nav prev" data-action="prev" aria-label="Previous image">‹</button>
+            <button type="button" class="lightbox-nav next" data-action="next" aria-label="Next image">›</button>
+            <div class="lightbox-thumbs"></div>
+        `;
+        document.body.appendChild(root);
+
+        stage = root.querySelector('.lightbox-stage');
+        imageEl = root.querySelector('.lightbox-image');
+        counter = root.querySelector('.lightbox-counter');
+        thumbs = root.querySelector('.lightbox-thumbs');
+
+        root.addEventListener('click', onClick);
+        root.addEventListener('keydown', onKeyDown);
+        stage.addEventListener('wheel', onWheel, { passive: false });
+        stage.addEventListener('pointerdown', onPointerDown);
+        stage.addEventListener('pointermove', onPointerMove);
+        stage.addEventListener('pointerup', onPointerUp);
+        stage.addEventListener('pointercancel', onPointerUp);
+    }
+
+    /**
+     * Keep the zoomed image covering the stage instead of drifting away
+     */
+    function applyView() {
+        const maxX = Math.max(0, (imageEl.offsetWidth * view.scale - stage.clientWidth) / 2);
+        const maxY = Math.max(0, (imageEl.offsetHeight * view.scale - stage.clientHeight) / 2);
+        view.x = clamp(view.x, -maxX, maxX);
+        view.y = clamp(view.y, -maxY, maxY);
+        imageEl.style.transform = `translate(${view.x}px, ${view.y}px) scale(${view.scale})`;
+        stage.classList.toggle('is-zoomed', view.scale > 1);
+    }
+
+    /**
+     * Zoom to `scale`, keeping the point (px, py) from the stage centre fixed
+     */
+    function zoomTo(scale, px = 0, py = 0) {
+        const next = clamp(scale, MIN_SCALE, MAX_SCALE);
+        const ratio = next / view.scale;
+        view.x = px - (px - view.x) * ratio;
+        view.y = py - (py - view.y) * ratio;
+        view.scale = next;
+        applyView();
+    }
+
+    function resetView() {
+        view.scale = 1;
+        view.x = 0;
+        view.y = 0;
+        applyView();
+    }
+
+    const fromStageCentre = (clientX, clientY) => {
+        const rect = stage.getBoundingClientRect();
+        return [clientX - rect.left - rect.width / 2, clientY - rect.top - rect.height / 2];
+    };
+
+    function show(nextIndex) {
+        index = (nextIndex + images.length) % images.length;
+        const image = images[index];
+        imageEl.src = image.src;
+        imageEl.alt = image.alt || `Image ${index + 1}`;
+        counter.textContent = `${index + 1} / ${images.length}`;
+        thumbs.querySelectorAll('button').forEach((button, i) => {
+            button.setAttribute('aria-current', i === index ? 'true' : 'false');
+            if (i === index && button.scrollIntoView) button.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        });
+        resetView();
+    }
+
+    // smallest manifest rendition when there is one
+    const thumbSrc = image => (image.variants && image.variants.length > 0 ? image.variants[0].src : image.src);
+
+    function renderThumbs() {
+        const single = images.length < 2;
+        root.querySelectorAll('.lightbox-nav').forEach(button => { button.hidden = single; });
+        thumbs.hidden = single;
+        thumbs.innerHTML = images.map((image, i) => `
+            <button type="button" data-index="${i}" aria-label="Show image ${i + 1}">
+                <img src="${thumbSrc(image)}" alt="" loading="lazy">
+            </button>
+        `).join('');
+    }
+
+    /**
+     * Open the lightbox on `images` ([{ src, alt }] or URLs) at `startIndex`
+     */
+    function open(list, startIndex = 0, opts = {}) {
+        if (!list || list.length === 0) return;
+        if (!root) build();
+
+        images = list.map(item => (typeof item === 'string' ? { src: item } : item));
+        returnFocus = document.activeElement;
+        root.setAttribute('aria-label', opts.title ? `${opts.title} images` : 'Product images');
+        renderThumbs();
+
+        root.hidden = false;
+        document.body.classList.add('lightbox-open');
+        show(startIndex);
+        root.querySelector('[data-action="close"]').focus();
+    }
+
+    function close() {
+        if (!root || root.hidden) return;
+        root.hidden = true;
+        document.body.classList.remove('lightbox-open');
+        pointers.clear();
+        gesture = null;
+        if (returnFocus && returnFocus.focus) returnFocus.focus();
+    }
+
+    function onClick(e) {
+        const thumb = e.target.closest('[data-index]');
+        if (thumb) {
+            show(parseInt(thumb.dataset.index));
+            return;
+        }
+
+        const action = e.target.closest('[data-action]');
+        if (!action) return;
+        switch (action.dataset.action) {
+            case 'close': close(); break;
+            case 'prev': show(index - 1); break;
+            case 'next': show(index + 1); break;
+            case 'zoom-in': zoomTo(view.scale * ZOOM_STEP); break;
+            case 'zoom-out': zoomTo(view.scale / ZOOM_STEP); break;
+            default:
+        }
+    }
+
+    /**
+     * Keyboard navigation, zoom shortcuts and focus trapping
+     */
+    function onKeyDown(e) {
+        switch (e.key) {
+            case 'Escape': close(); break;
+            case 'ArrowLeft': show(index - 1); break;
+            case 'ArrowRight': show(index + 1); break;
+            case '+':
+            case '=': zoomTo(view.scale * ZOOM_STEP); break;
+            case '-': zoomTo(view.scale / ZOOM_STEP); break;
+            case '0': resetView(); break;
+            case 'Tab': {
+                const focusable = Array.from(root.querySelectorAll('button')).filter(el => !el.hidden && !el.closest('[hidden]'));
+                const first = focusable[0];
+                const last = focusable[focusable.length - 1];
+                if (e.shiftKey && document.activeElement === first) {
+                    e.preventDefault();
+                    last.focus();
+                } else if (!e.shiftKey && document.activeElement === last) {
+                    e.preventDefault();
+                    first.focus();
+                }
+                return;
+            }
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+
+    function onWheel(e) {
+        e.preventDefault();
+        const [px, py] = fromStageCentre(e.clientX, e.clientY);
+        zoomTo(view.scale * (e.deltaY < 0 ? 1.2 : 1 / 1.2), px, py);
+    }
+
+    const pinchDistance = () => {
+        const [a, b] = Array.from(pointers.values());
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    };
+
+    function onPointerDown(e) {
+        if (stage.setPointerCapture) stage.setPointerCapture(e.pointerId);
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (pointers.size === 2) {
+            const [a, b] = Array.from(pointers.values());
+            gesture = {
+                type: 'pinch',
+                distance: pinchDistance(),
+                scale: view.scale,
+                centre: fromStageCentre((a.x + b.x) / 2, (a.y + b.y) / 2)
+            };
+            return;
+        }
+
+        // double tap / double click toggles zoom
+        const now = Date.now();
+        if (now - lastTap < 300) {
+            const [px, py] = fromStageCentre(e.clientX, e.clientY);
+            if (view.scale > 1) resetView(); else zoomTo(2.5, px, py);
+            lastTap = 0;
+            gesture = null;
+            return;
+        }
+        lastTap = now;
+
+        gesture = { type: view.scale > 1 ? 'pan' : 'swipe', startX: e.clientX, startY: e.clientY, x: view.x, y: view.y };
+    }
+
+    function onPointerMove(e) {
+        if (!pointers.has(e.pointerId)) return;
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (!gesture) return;
+
+        if (gesture.type === 'pinch' && pointers.size === 2) {
+            const scale = gesture.scale * (pinchDistance() / gesture.distance);
+            zoomTo(scale, gesture.centre[0], gesture.centre[1]);
+        } else if (gesture.type === 'pan') {
+            view.x = gesture.x + (e.clientX - gesture.startX);
+            view.y = gesture.y + (e.clientY - gesture.startY);
+            applyView();
+        }
+    }
+
+    function onPointerUp(e) {
+        pointers.delete(e.pointerId);
+        if (gesture && gesture.type === 'swipe') {
+            const dx = e.clientX - gesture.startX;
+            const dy = e.clientY - gesture.startY;
+            if (Math.abs(dx) > SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) {
+                show(index + (dx < 0 ? 1 : -1));
+            }
+        }
+        gesture = null;
+    }
+
+    return { open, close };
+})();
+
 /* Carousel utilities ------------------------------------------------- */
 const Carousel = (() => {
     const MAX_IMAGES = 12;
     const EXTENSIONS = ['jpeg', 'jpg', 'png'];
 
-    // base path when running inside products/ folder
-    const basePath = window.location.pathname.includes('/products/') ? '../' : '';
+    // base path when running inside a section folder (products/, about/, ...)
+    const basePath = SitePaths.root;
+
+    // card images are at most ~320px wide on desktop, full width on phones
+    const THUMB_SIZES = '(max-width: 768px) 100vw, 320px';
+
+    let manifestPromise = null;
+    let manifest = null;
+
+    // autoplaying carousel element -> { pause, play }
+    const players = new Map();
+    // players of carousels taken off the page, resumed if they come back
+    const parkedPlayers = new WeakMap();
+    let lazyObserver = null;
+    let visibilityObserver = null;
+
+    const prefersReducedMotion = () =>
+        Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
 
     const loadImage = (url) => new Promise((resolve) => {
         const img = new Image();
@@ -175,12 +2445,84 @@ const Carousel = (() => {
         img.src = url;
     });
 
+    const encodeFolder = (folder) => encodeURIComponent(folder).replace(/%2F/g, '/');
+    const encodeFile = (file) => file.split('/').map(encodeURIComponent).join('/');
+
+    /**
+     * Fetch products/image-manifest.json once (built by
+     * scripts/build-image-manifest.js); resolves null when unavailable
+     */
+    function loadManifest() {
+        if (!manifestPromise) {
+            manifestPromise = fetch(SitePaths.resolve('products/image-manifest.json'))
+                .then(response => (response.ok ? response.json() : null))
+                .catch(() => null)
+                .then(data => {
+                    manifest = data && data.folders ? data : null;
+                    return manifest;
+                });
+        }
+        return manifestPromise;
+    }
+
+    /**
+     * Manifest entries for a folder as [{ src, alt, width, height, variants }],
+     * primary image first; null when the folder is not in the manifest.
+     * `variants` are smaller renditions as [{ src, width }].
+     */
+    function imagesFromManifest(folder) {
+        const entry = manifest && manifest.folders[folder];
+        if (!entry || !Array.isArray(entry.images)) return null;
+
+        const images = [...entry.images].sort((a, b) => (b.file === entry.primary) - (a.file === entry.primary));
+        const folderPath = `${basePath}${encodeFolder(folder)}/`;
+        return images.map(image => ({
+            src: `${folderPath}${encodeFile(image.file)}`,
+            alt: image.alt || '',
+            width: image.width || null,
+            height: image.height || null,
+            variants: (image.variants || []).map(variant => ({
+                src: `${folderPath}${encodeFile(variant.file)}`,
+                width: variant.width
+            }))
+        }));
+    }
+
+    /**
+     * Images for a product folder: from the manifest, falling back to
+     * probing when the folder is missing from it
+     */
+    async function findImages(folder) {
+        if (!folder) return [];
+        const decoded = decodeURIComponent(folder).trim();
+        if (!decoded) return [];
+
+        await loadManifest();
+        const listed = imagesFromManifest(decoded);
+        if (listed) return listed;
+
+        const urls = await probeImages(decoded);
+        return urls.map(src => ({ src, alt: '', width: null, height: null, variants: [] }));
+    }
+
+    /**
+     * URL of a folder's primary image without waiting for the network:
+     * uses the manifest once loaded, otherwise guesses `1.jpeg`
+     */
+    function primaryImageUrl(folder) {
+        const decoded = (folder || '').trim();
+        if (!decoded) return '';
+        const listed = imagesFromManifest(decoded);
+        if (listed && listed.length > 0) return listed[0].src;
+        return `${basePath}${encodeFolder(decoded)}/1.jpeg`;
+    }
+
     async function probeImages(folder) {
         const urls = [];
         if (!folder) return urls;
         const decoded = decodeURIComponent(folder).trim();
         if (!decoded) return urls;
-        const encodedFolder = encodeURIComponent(decoded).replace(/%2F/g, '/');
+        const encodedFolder = encodeFolder(decoded);
 
         for (let i = 1; i <= MAX_IMAGES; i++) {
             let found = false;
@@ -200,8 +2542,162 @@ const Carousel = (() => {
         return urls;
     }
 
+    /**
+     * Start or stop an autoplaying carousel depending on whether it is on
+     * screen and the tab is visible
+     */
+    function updatePlayback(carousel) {
+        const player = players.get(carousel);
+        if (!player) return;
+        if (carousel.dataset.inView === 'true' && !document.hidden) {
+            player.play();
+        } else {
+            player.pause();
+        }
+    }
+
+    function registerPlayer(carousel, player) {
+        players.set(carousel, player);
+        if (!('IntersectionObserver' in window)) {
+            carousel.dataset.inView = 'true';
+            updatePlayback(carousel);
+            return;
+        }
+        if (!visibilityObserver) {
+            visibilityObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    entry.target.dataset.inView = String(entry.isIntersecting);
+                    updatePlayback(entry.target);
+                });
+            });
+            document.addEventListener('visibilitychange', () => players.forEach((_, el) => updatePlayback(el)));
+        }
+        visibilityObserver.observe(carousel);
+    }
+
+    /**
+     * Stop players whose carousels were removed by a re-render. They are
+     * kept (weakly) in case a keyed re-render puts the card back.
+     */
+    function forgetDetachedPlayers() {
+        players.forEach((player, carousel) => {
+            if (carousel.isConnected) return;
+            if (visibilityObserver) visibilityObserver.unobserve(carousel);
+            player.pause();
+            players.delete(carousel);
+            parkedPlayers.set(carousel, player);
+        });
+    }
+
+    function resumeParkedPlayers(root) {
+        root.querySelectorAll('.product-image-carousel .carousel').forEach(carousel => {
+            const player = parkedPlayers.get(carousel);
+            if (!player) return;
+            parkedPlayers.delete(carousel);
+            registerPlayer(carousel, player);
+        });
+    }
+
+    /**
+     * Built-in slide engine used when Bootstrap's JS is not available
+     * (e.g. the CDN is blocked): autoplay, controls, indicators, swipe,
+     * arrow keys and screen reader announcements.
+     */
+    function createSlideEngine(carousel, { auto, interval }) {
+        const slides = Array.from(carousel.querySelectorAll('.carousel-item'));
+        const indicators = Array.from(carousel.querySelectorAll('[data-slide-to]'));
+        const live = carousel.querySelector('.carousel-live');
+        let current = 0;
+        let timer = null;
+        let playing = false;
+        let hovered = false;
+
+        function schedule() {
+            clearTimeout(timer);
+            timer = null;
+            if (playing && !hovered && slides.length > 1) {
+                timer = setTimeout(() => to(current + 1), interval);
+            }
+        }
+
+        function to(index, announce = false) {
+            current = (index + slides.length) % slides.length;
+            slides.forEach((slide, i) => {
+                slide.classList.toggle('active', i === current);
+                slide.setAttribute('aria-hidden', String(i !== current));
+            });
+            indicators.forEach((indicator, i) => {
+                indicator.classList.toggle('active', i === current);
+                if (i === current) indicator.setAttribute('aria-current', 'true');
+                else indicator.removeAttribute('aria-current');
+            });
+            if (announce && live) live.textContent = `Image ${current + 1} of ${slides.length}`;
+            schedule();
+        }
+
+        carousel.addEventListener('click', (e) => {
+            const control = e.target.closest('[data-slide]');
+            if (control) {
+                to(current + (control.dataset.slide === 'next' ? 1 : -1), true);
+                return;
+            }
+            const indicator = e.target.closest('[data-slide-to]');
+            if (indicator) to(parseInt(indicator.dataset.slideTo), true);
+        });
+
+        carousel.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowLeft') to(current - 1, true);
+            else if (e.key === 'ArrowRight') to(current + 1, true);
+        });
+
+        // horizontal swipe; the click that follows it must not open anything
+        let swipeStart = null;
+        carousel.addEventListener('pointerdown', (e) => {
+            swipeStart = { x: e.clientX, y: e.clientY };
+        });
+        carousel.addEventListener('pointerup', (e) => {
+            if (!swipeStart) return;
+            const dx = e.clientX - swipeStart.x;
+            const dy = e.clientY - swipeStart.y;
+            swipeStart = null;
+            if (Math.abs(dx) < 40 || Math.abs(dx) < Math.abs(dy)) return;
+            to(current + (dx < 0 ? 1 : -1), true);
+            carousel.addEventListener('click', (click) => click.stopPropagation(), { capture: true, once: true });
+        });
+
+        ['mouseenter', 'focusin'].forEach(type => carousel.addEventListener(type, () => {
+            hovered = true;
+            schedule();
+        }));
+        ['mouseleave', 'focusout'].forEach(type => carousel.addEventListener(type, () => {
+            hovered = false;
+            schedule();
+        }));
+
+        to(0);
+
+        return {
+            pause: () => {
+                playing = false;
+                schedule();
+            },
+            play: () => {
+                playing = auto;
+                schedule();
+            }
+        };
+    }
+
+    /**
+     * Build a carousel. `size: 'thumb'` serves srcset renditions for cards;
+     * the default 'full' always uses the original images (detail page).
+     * Autoplay is disabled for visitors who prefer reduced motion.
+     * Uses Bootstrap's Carousel when loaded, otherwise the built-in engine.
+     */
     function create(container, urls = [], opts = {}) {
-        const { auto = true, interval = 7000, controls = false } = opts;
+        const { interval = 7000, controls = false, size = 'full' } = opts;
+        const auto = opts.auto !== false && !prefersReducedMotion();
+        const useBootstrap = Boolean(window.bootstrap && window.bootstrap.Carousel);
         if (!container) return;
         container.innerHTML = '';
 
@@ -213,21 +2709,38 @@ const Carousel = (() => {
 
         const id = `bs-carousel-${Math.random().toString(36).slice(2, 9)}`;
         const carousel = document.createElement('div');
-        carousel.className = 'carousel slide';
+        carousel.className = useBootstrap ? 'carousel slide' : 'carousel slide carousel-fallback';
         carousel.id = id;
-        if (auto) carousel.setAttribute('data-bs-ride', 'carousel');
-        if (interval) carousel.setAttribute('data-bs-interval', String(interval));
+        carousel.setAttribute('role', 'region');
+        carousel.setAttribute('aria-roledescription', 'carousel');
+        carousel.setAttribute('aria-label', container.getAttribute('aria-label') || 'Product images');
+        if (useBootstrap && auto) carousel.setAttribute('data-bs-ride', 'carousel');
+        if (useBootstrap && interval) carousel.setAttribute('data-bs-interval', String(interval));
 
         const inner = document.createElement('div');
         inner.className = 'carousel-inner';
 
+        // accepts plain URLs or { src, alt, width, height } from findImages()
         urls.forEach((u, idx) => {
+            const image = typeof u === 'string' ? { src: u } : u;
             const item = document.createElement('div');
             item.className = 'carousel-item' + (idx === 0 ? ' active' : '');
             const img = document.createElement('img');
-            img.src = u;
+            img.src = image.src;
+            if (size === 'thumb' && image.variants && image.variants.length > 0) {
+                const candidates = image.variants.map(variant => `${variant.src} ${variant.width}w`);
+                if (image.width) candidates.push(`${image.src} ${image.width}w`);
+                img.srcset = candidates.join(', ');
+                img.sizes = THUMB_SIZES;
+            }
+            if (idx > 0) img.loading = 'lazy';
+            img.decoding = 'async';
             img.className = 'd-block w-100 carousel-image';
-            img.alt = container.getAttribute('aria-label') || 'product image';
+            img.alt = image.alt || container.getAttribute('aria-label') || 'product image';
+            if (image.width && image.height) {
+                img.width = image.width;
+                img.height = image.height;
+            }
             item.appendChild(img);
             inner.appendChild(item);
         });
@@ -235,46 +2748,109 @@ const Carousel = (() => {
         carousel.appendChild(inner);
 
         if (controls) {
-            const prev = document.createElement('button');
-            prev.className = 'carousel-control-prev';
-            prev.type = 'button';
-            prev.setAttribute('data-bs-target', `#${id}`);
-            prev.setAttribute('data-bs-slide', 'prev');
-            prev.innerHTML = '<span class="carousel-control-prev-icon" aria-hidden="true"></span><span class="visually-hidden">Previous</span>';
+            const makeControl = (direction, label) => {
+                const button = document.createElement('button');
+                button.className = `carousel-control-${direction}`;
+                button.type = 'button';
+                button.dataset.slide = direction;
+                if (useBootstrap) {
+                    button.setAttribute('data-bs-target', `#${id}`);
+                    button.setAttribute('data-bs-slide', direction);
+                }
+                button.innerHTML = `<span class="carousel-control-${direction}-icon" aria-hidden="true"></span><span class="visually-hidden sr-only">${label}</span>`;
+                return button;
+            };
 
-            const next = document.createElement('button');
-            next.className = 'carousel-control-next';
-            next.type = 'button';
-            next.setAttribute('data-bs-target', `#${id}`);
-            next.setAttribute('data-bs-slide', 'next');
-            next.innerHTML = '<span class="carousel-control-next-icon" aria-hidden="true"></span><span class="visually-hidden">Next</span>';
+            carousel.appendChild(makeControl('prev', 'Previous'));
+            carousel.appendChild(makeControl('next', 'Next'));
 
-            carousel.appendChild(prev);
-            carousel.appendChild(next);
+            if (urls.length > 1) {
+                const indicators = document.createElement('div');
+                indicators.className = 'carousel-indicators';
+                urls.forEach((_, idx) => {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.dataset.slideTo = String(idx);
+                    button.setAttribute('aria-label', `Image ${idx + 1}`);
+                    if (useBootstrap) {
+                        button.setAttribute('data-bs-target', `#${id}`);
+                        button.setAttribute('data-bs-slide-to', String(idx));
+                    }
+                    if (idx === 0) {
+                        button.className = 'active';
+                        button.setAttribute('aria-current', 'true');
+                    }
+                    indicators.appendChild(button);
+                });
+                carousel.appendChild(indicators);
+            }
         }
 
+        const live = document.createElement('div');
+        live.className = 'carousel-live visually-hidden sr-only';
+        live.setAttribute('aria-live', 'polite');
+        live.setAttribute('aria-atomic', 'true');
+        carousel.appendChild(live);
+
         container.appendChild(carousel);
 
-        // initialize with Bootstrap's Carousel if available
-        if (window.bootstrap && window.bootstrap.Carousel) {
+        if (useBootstrap) {
             // interval false for manual carousels
             const config = { interval: auto ? interval : false, ride: auto ? 'carousel' : false, touch: false };
-            try { new bootstrap.Carousel(carousel, config); } catch (e) { /* ignore */ }
+            try {
+                const instance = new bootstrap.Carousel(carousel, config);
+                carousel.addEventListener('slid.bs.carousel', (e) => {
+                    if (!auto) live.textContent = `Image ${e.to + 1} of ${urls.length}`;
+                });
+                if (auto) registerPlayer(carousel, { pause: () => instance.pause(), play: () => instance.cycle() });
+                return carousel;
+            } catch (e) {
+                console.warn('Bootstrap carousel failed, using built-in engine:', e);
+                carousel.classList.add('carousel-fallback');
+            }
         }
 
+        const engine = createSlideEngine(carousel, { auto, interval });
+        if (auto) registerPlayer(carousel, engine);
         return carousel;
     }
 
-    async function initAutoCarousels() {
-        const nodes = document.querySelectorAll('.product-image-carousel');
-        if (!nodes || nodes.length === 0) return;
+    async function buildAutoCarousel(node) {
+        node.dataset.carouselState = 'loading';
+        const images = await findImages(node.dataset.folder || '');
+        create(node, images, { auto: true, interval: 7000, controls: false, size: 'thumb' });
+        node.dataset.carouselState = 'ready';
+    }
 
-        await Promise.all(Array.from(nodes).map(async (node) => {
-            const folder = node.dataset.folder || '';
-            const urls = await probeImages(folder);
-            create(node, urls, { auto: true, interval: 7000, controls: false });
-        }));
+    /**
+     * Build autoplaying card carousels under `root` as they approach the
+     * viewport. Nodes already built (or waiting) are skipped, so this is
+     * safe to call after every render.
+     */
+    async function initAutoCarousels(root = document) {
+        forgetDetachedPlayers();
+        resumeParkedPlayers(root);
+
+        const nodes = Array.from(root.querySelectorAll('.product-image-carousel:not([data-carousel-state])'));
+        if (nodes.length === 0) return;
+        nodes.forEach(node => { node.dataset.carouselState = 'pending'; });
+
+        if (!('IntersectionObserver' in window)) {
+            await Promise.all(nodes.map(buildAutoCarousel));
+            return;
+        }
+
+        if (!lazyObserver) {
+            lazyObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (!entry.isIntersecting) return;
+                    lazyObserver.unobserve(entry.target);
+                    buildAutoCarousel(entry.target);
+                });
+            }, { rootMargin: '200px 0px' });
+        }
+        nodes.forEach(node => lazyObserver.observe(node));
     }
 
-    return { probeImages, create, initAutoCarousels };
+    return { loadManifest, findImages, primaryImageUrl, probeImages, create, initAutoCarousels };
 })();
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+// ============================================================
+// Image manifest builder
+// Lists the images in every product folder (e.g. `R. Gold/`, `R. Cal D/`)
+// so `Carousel` can load them without probing 1.jpeg, 1.jpg, 1.png, ...
+// ============================================================
+//
+// Usage:
+//   node scripts/build-image-manifest.js [--thumbs]
+//
+// --thumbs also writes smaller renditions (320w, 640w) into each folder's
+// `thumbs/` directory for card srcsets. It needs the `sharp` package
+// (e.g. `npm install --prefix /tmp/tools sharp` and NODE_PATH=/tmp/tools/node_modules).
+// Renditions already on disk are listed in the manifest either way.
+//
+// Writes products/image-manifest.json:
+//   {
+//     "folders": {
+//       "R. Cal D": {
+//         "primary": "1.jpeg",
+//         "images": [{
+//           "file": "1.jpeg", "width": 1080, "height": 1080, "alt": "R. CAL.D - image 1",
+//           "variants": [{ "file": "thumbs/1-320w.jpeg", "width": 320 }]
+//         }]
+//       }
+//     }
+//   }
+//
+// `primary` and `alt` values edited by hand are kept when the manifest is
+// rebuilt, as long as the file still exists.
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const PRODUCTS_FILE = path.join(ROOT, 'products', 'products.json');
+const MANIFEST_FILE = path.join(ROOT, 'products', 'image-manifest.json');
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|webp)$/i;
+const THUMB_DIR = 'thumbs';
+const THUMB_WIDTHS = [320, 640];
+
+/**
+ * Read width/height from a JPEG, PNG or WebP header
+ */
+const readDimensions = (buffer) => {
+    // PNG: IHDR chunk right after the signature
+    if (buffer.toString('ascii', 1, 4) === 'PNG') {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+    // WebP (lossy VP8 / lossless VP8L / extended VP8X)
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        const chunk = buffer.toString('ascii', 12, 16);
+        if (chunk === 'VP8 ') {
+            return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+        }
+        if (chunk === 'VP8L') {
+            const bits = buffer.readUInt32LE(21);
+            return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === 'VP8X') {
+            return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+        }
+    }
+
+    // JPEG: walk the segments until a start-of-frame marker
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 < buffer.length) {
+            if (buffer[offset] !== 0xff) {
+                offset++;
+                continue;
+            }
+            const marker = buffer[offset + 1];
+            const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+            if (isStartOfFrame) {
+                return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+    }
+
+    return { width: null, height: null };
+};
+
+/**
+ * Sort "2.jpeg" before "10.jpeg"
+ */
+const naturalCompare = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+
+const readJson = (file, fallback) => {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        return fallback;
+    }
+};
+
+const loadSharp = () => {
+    try {
+        return require('sharp');
+    } catch (error) {
+        console.error('✗ --thumbs needs the `sharp` package (npm install sharp)');
+        process.exit(1);
+    }
+    return null;
+};
+
+const thumbName = (file, width) => {
+    const ext = path.extname(file);
+    return `${THUMB_DIR}/${path.basename(file, ext)}-${width}w${ext}`;
+};
+
+/**
+ * Write missing or stale renditions narrower than the original
+ */
+const writeThumbs = async (sharp, dir, file, width) => {
+    const source = path.join(dir, file);
+    const sourceTime = fs.statSync(source).mtimeMs;
+    fs.mkdirSync(path.join(dir, THUMB_DIR), { recursive: true });
+
+    for (const thumbWidth of THUMB_WIDTHS.filter(w => width && w < width)) {
+        const target = path.join(dir, thumbName(file, thumbWidth));
+        if (fs.existsSync(target) && fs.statSync(target).mtimeMs >= sourceTime) continue;
+        // eslint-disable-next-line no-await-in-loop
+        await sharp(source).resize({ width: thumbWidth }).toFile(target);
+    }
+};
+
+/**
+ * Renditions of `file` that exist on disk
+ */
+const listVariants = (dir, file, width) => THUMB_WIDTHS
+    .filter(thumbWidth => width && thumbWidth < width && fs.existsSync(path.join(dir, thumbName(file, thumbWidth))))
+    .map(thumbWidth => ({ file: thumbName(file, thumbWidth), width: thumbWidth }));
+
+const buildFolder = async (folder, productName, previous = {}, sharp = null) => {
+    const dir = path.join(ROOT, folder);
+    const files = fs.readdirSync(dir).filter(file => IMAGE_EXTENSIONS.test(file)).sort(naturalCompare);
+    const previousAlt = {};
+    (previous.images || []).forEach(image => { previousAlt[image.file] = image.alt; });
+
+    const images = [];
+    for (const [index, file] of files.entries()) {
+        const { width, height } = readDimensions(fs.readFileSync(path.join(dir, file)));
+        // eslint-disable-next-line no-await-in-loop
+        if (sharp) await writeThumbs(sharp, dir, file, width);
+        images.push({
+            file,
+            width,
+            height,
+            alt: previousAlt[file] || `${productName} - image ${index + 1}`,
+            variants: listVariants(dir, file, width)
+        });
+    }
+
+    const primary = files.includes(previous.primary) ? previous.primary : (files[0] || null);
+    return { primary, images };
+};
+
+const main = async () => {
+    const sharp = process.argv.includes('--thumbs') ? loadSharp() : null;
+    const products = readJson(PRODUCTS_FILE, null);
+    if (!Array.isArray(products)) {
+        console.error(`✗ Could not read ${path.relative(ROOT, PRODUCTS_FILE)}`);
+        process.exit(1);
+    }
+
+    const previous = readJson(MANIFEST_FILE, { folders: {} }).folders || {};
+    const folders = {};
+    let imageCount = 0;
+
+    for (const product of products) {
+        const folder = (product.icon || '').trim();
+        if (!folder || folders[folder]) continue;
+
+        if (!fs.existsSync(path.join(ROOT, folder))) {
+            console.warn(`⚠ ${product.name}: folder "${folder}" not found, skipping`);
+            continue;
+        }
+
+        // eslint-disable-next-line no-await-in-loop
+        folders[folder] = await buildFolder(folder, product.name, previous[folder], sharp);
+        imageCount += folders[folder].images.length;
+    }
+
+    // no build timestamp, so the file only changes when the images do
+    const manifest = { folders };
+    fs.writeFileSync(MANIFEST_FILE, `${JSON.stringify(manifest, null, 4)}\n`);
+    console.log(`✓ Wrote ${path.relative(ROOT, MANIFEST_FILE)}: ${Object.keys(folders).length} folders, ${imageCount} images`);
+};
+
+main().catch((error) => {
+    console.error('✗ Failed to build image manifest:', error);
+    process.exit(1);
+});
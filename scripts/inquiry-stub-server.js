@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+// ============================================================
+// Local stub endpoint for the contact/inquiry form
+// ============================================================
+//
+// Usage:
+//   node scripts/inquiry-stub-server.js [port]
+//
+// Then, in the browser console on the site:
+//   localStorage.setItem('rpharma:inquiryEndpoint', JSON.stringify('http://localhost:8787/inquiries'))
+//
+// Set STUB_STATUS=503 to simulate a failing server (submissions are queued
+// in the browser outbox and retried), or STUB_STATUS=422 to simulate a
+// rejected submission.
+
+const http = require('http');
+
+const port = parseInt(process.argv[2]) || 8787;
+const status = parseInt(process.env.STUB_STATUS) || 201;
+let received = 0;
+
+const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (req.method !== 'POST' || req.url !== '/inquiries') {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Not found' }));
+        return;
+    }
+
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+        let payload;
+        try {
+            payload = JSON.parse(body);
+        } catch (error) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Invalid JSON' }));
+            return;
+        }
+
+        received++;
+        console.log(`#${received} ${new Date().toISOString()} → ${status}`);
+        console.log(JSON.stringify(payload, null, 2));
+
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(status < 300 ? { ok: true, id: received } : { error: `Stub status ${status}` }));
+    });
+});
+
+server.listen(port, () => {
+    console.log(`✓ Inquiry stub listening on http://localhost:${port}/inquiries (responding ${status})`);
+});
@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+// ============================================================
+// Product page pre-renderer
+// Crawlers and link previews (WhatsApp, social) don't run the
+// `product-detail.html?p=` JavaScript, so this writes a static copy
+// of that page per product with its title, description, canonical URL,
+// Open Graph / Twitter tags, JSON-LD and a text summary already in the
+// HTML, plus a sitemap.xml listing them.
+// ============================================================
+//
+// Usage:
+//   node scripts/prerender-products.js --site-url https://example.com/site/
+//   (or SITE_URL=https://example.com/site/ node scripts/prerender-products.js)
+//
+// Writes:
+//   products/p/<slug>.html one page per product (ProductSeo.pagePath)
+//   sitemap.xml            site pages and every product page
+//
+// Both are git-ignored. Products are read through ProductSchema, as the
+// site reads them: records it rejects are skipped, and a product without
+// a `slug` gets the one made from its name. The pages set
+// <base href="../"> so the template's relative links resolve as they do
+// from products/, and load
+// product-detail.js like product-detail.html does; it reads the slug
+// from <body data-product-slug> and renders the full page. Pages from
+// earlier runs are recognised by their generator meta tag and removed
+// when their product is gone.
+// Run scripts/build-image-manifest.js first so images resolve to each
+// folder's primary image.
+
+const fs = require('fs');
+const path = require('path');
+const ProductSchema = require('../products/product-schema.js');
+const ProductSeo = require('../products/product-seo.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const PRODUCTS_FILE = path.join(ROOT, 'products', 'products.json');
+const MANIFEST_FILE = path.join(ROOT, 'products', 'image-manifest.json');
+const TEMPLATE_FILE = path.join(ROOT, 'products', 'product-detail.html');
+const PAGES_DIR = path.join(ROOT, 'products', 'p');
+const SITEMAP_FILE = path.join(ROOT, 'sitemap.xml');
+const GENERATOR_TAG = '<meta name="generator" content="scripts/prerender-products.js">';
+
+// site pages listed in the sitemap besides the products
+const SITE_PAGES = ['', 'products/', 'about/', 'contact/'];
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+
+const readJson = (file, fallback) => {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        return fallback;
+    }
+};
+
+/**
+ * --site-url value (or SITE_URL), always ending in a slash
+ */
+const readSiteUrl = () => {
+    const flag = process.argv.indexOf('--site-url');
+    const value = (flag > -1 ? process.argv[flag + 1] : process.env.SITE_URL) || '';
+    try {
+        const url = new URL(value);
+        return url.href.endsWith('/') ? url.href : `${url.href}/`;
+    } catch (error) {
+        console.error('✗ Pass the public site URL with --site-url (or SITE_URL), e.g. https://example.com/site/');
+        process.exit(1);
+    }
+    return null;
+};
+
+const isGenerated = (file) => fs.readFileSync(path.join(PAGES_DIR, file), 'utf8').includes(GENERATOR_TAG);
+
+/**
+ * Products as the site loads them: validated and normalized by
+ * ProductSchema, which also rejects duplicate ids and slugs
+ */
+const loadProducts = () => {
+    const { products, invalid } = ProductSchema.parse(readJson(PRODUCTS_FILE, null));
+    invalid.forEach(record => {
+        console.warn(`⚠ Skipping ${record.name || `record ${record.index}`}: ${record.errors.join('; ')}`);
+    });
+    if (products.length === 0) {
+        console.error(`✗ No valid products in ${path.relative(ROOT, PRODUCTS_FILE)}`);
+        process.exit(1);
+    }
+    return products;
+};
+
+const encodePath = (value) => value.split('/').map(encodeURIComponent).join('/');
+
+/**
+ * First carousel image of a product, relative to the site root, with
+ * its size when the manifest lists it
+ */
+const primaryImage = (product, manifest) => {
+    const folder = (product.icon || '').trim();
+    if (!folder) return null;
+
+    const entry = manifest.folders && manifest.folders[folder];
+    const file = (entry && entry.primary) || '1.jpeg';
+    const image = entry && Array.isArray(entry.images) ? entry.images.find(candidate => candidate.file === file) : null;
+    return {
+        path: `${encodePath(folder)}/${encodePath(file)}`,
+        width: image ? image.width : null,
+        height: image ? image.height : null
+    };
+};
+
+const formatInr = (amount) => `₹${amount.toFixed(2)}`;
+
+/**
+ * Static summary shown until product-detail.js renders the full page
+ */
+const renderSummary = (product, image) => {
+    const ingredients = product.ingredients || [];
+    const indications = product.indications || [];
+    const prices = [product.price, ...(product.priceTiers || []).map(tier => tier.price)];
+    const meta = [product.category, product.dosageForm, product.packSize, ProductSchema.PRESCRIPTION_LABELS[product.prescription]]
+        .filter(Boolean);
+
+    return `<div class="product-detail-grid">
+                        <div class="product-detail-image">
+                            ${image ? `<img src="../${image.path}" alt="${escapeHtml(product.name)}"${image.width ? ` width="${image.width}" height="${image.height}"` : ''} style="width: 100%; height: 100%; object-fit: contain;">` : ''}
+                        </div>
+                        <div class="product-detail-info">
+                            <h1>${escapeHtml(product.name)}</h1>
+                            <p>${meta.map(escapeHtml).join(' · ')}</p>
+                            <p class="product-description-full">${escapeHtml(product.description)}</p>
+                            ${ingredients.length > 0 ? `<h2>Composition</h2>
+                            <ul>${ingredients.map(ingredient => `<li>${escapeHtml([ingredient.name, ingredient.strength, ingredient.unit].filter(Boolean).join(' '))}</li>`).join('')}</ul>` : ''}
+                            ${indications.length > 0 ? `<h2>Indications</h2>
+                            <ul>${indications.map(indication => `<li>${escapeHtml(indication)}</li>`).join('')}</ul>` : ''}
+                            ${product.details ? `<p>${escapeHtml(product.details)}</p>` : ''}
+                            <p class="product-price-display">${prices.length > 1 ? 'from ' : ''}${formatInr(Math.min(...prices))} per unit + GST</p>
+                        </div>
+                    </div>`;
+};
+
+/**
+ * Replace `pattern` in the template, failing loudly when the template
+ * no longer contains it
+ */
+const replaceOnce = (html, pattern, replacement, what) => {
+    if (!pattern.test(html)) {
+        console.error(`✗ ${path.relative(ROOT, TEMPLATE_FILE)}: could not find the ${what}`);
+        process.exit(1);
+    }
+    return html.replace(pattern, replacement);
+};
+
+const renderPage = (template, product, siteUrl, manifest) => {
+    const pageUrl = new URL(ProductSeo.pagePath(product), siteUrl).href;
+    const image = primaryImage(product, manifest);
+    const imageUrl = image ? new URL(image.path, siteUrl).href : null;
+
+    const tags = ProductSeo.socialTags(product, {
+        pageUrl,
+        image: imageUrl,
+        imageWidth: image && image.width,
+        imageHeight: image && image.height
+    });
+    // "</script>" inside a string would end the JSON-LD block early
+    const jsonLd = JSON.stringify(ProductSeo.structuredData(product, { pageUrl, image: imageUrl })).replace(/</g, '\\u003c');
+    const eol = template.includes('\r\n') ? '\r\n' : '\n';
+    const head = [
+        GENERATOR_TAG,
+        `<link rel="canonical" href="${escapeHtml(pageUrl)}">`,
+        ...tags.map(tag => `<meta ${tag.attribute}="${tag.key}" content="${escapeHtml(tag.content)}">`),
+        `<script type="application/ld+json" id="productJsonLd">${jsonLd}</script>`
+    ].map(line => `    ${line}${eol}`).join('');
+
+    let html = template;
+    // the page sits one folder below the template
+    html = replaceOnce(html, /<meta charset="UTF-8">/, match => `${match}${eol}    <base href="../">`, 'charset meta');
+    // in-page anchors would otherwise point at the base folder
+    html = html.replace(/href="#/g, `href="p/${product.slug}.html#`);
+    html = replaceOnce(html, /<title>[\s\S]*?<\/title>/, () => `<title>${escapeHtml(ProductSeo.title(product))}</title>`, 'title');
+    html = replaceOnce(html, /<meta name="description" content="[^"]*">/,
+        () => `<meta name="description" content="${escapeHtml(ProductSeo.description(product))}">`, 'meta description');
+    html = replaceOnce(html, /<\/head>/, () => `${head}</head>`, 'head');
+    html = replaceOnce(html, /<body>/, () => `<body data-product-slug="${product.slug}">`, 'body tag');
+    html = replaceOnce(html, /<span id="breadcrumbProduct">[^<]*<\/span>/,
+        () => `<span id="breadcrumbProduct">${escapeHtml(product.name)}</span>`, 'breadcrumb');
+    html = replaceOnce(html,
+        /<!-- Product details will be loaded here by JavaScript -->\s*<div[^>]*>\s*<p>Loading product details...<\/p>\s*<\/div>/,
+        () => renderSummary(product, image), 'loading placeholder');
+    return html;
+};
+
+const renderSitemap = (siteUrl, products) => {
+    const urls = [
+        ...SITE_PAGES.map(page => new URL(page, siteUrl).href),
+        ...products.map(product => new URL(ProductSeo.pagePath(product), siteUrl).href)
+    ];
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(url => `    <url><loc>${escapeHtml(url)}</loc></url>`).join('\n')}
+</urlset>
+`;
+};
+
+const main = () => {
+    const siteUrl = readSiteUrl();
+    const products = loadProducts();
+    const manifest = readJson(MANIFEST_FILE, { folders: {} });
+    const template = fs.readFileSync(TEMPLATE_FILE, 'utf8');
+
+    fs.mkdirSync(PAGES_DIR, { recursive: true });
+    const written = new Set();
+    products.forEach(product => {
+        const file = path.join(ROOT, ProductSeo.pagePath(product));
+        fs.writeFileSync(file, renderPage(template, product, siteUrl, manifest));
+        written.add(path.basename(file));
+    });
+
+    // pages of products that were removed or renamed
+    fs.readdirSync(PAGES_DIR)
+        .filter(file => file.endsWith('.html') && !written.has(file) && isGenerated(file))
+        .forEach(file => fs.unlinkSync(path.join(PAGES_DIR, file)));
+
+    fs.writeFileSync(SITEMAP_FILE, renderSitemap(siteUrl, products));
+    console.log(`✓ Pre-rendered ${written.size} product pages and ${path.relative(ROOT, SITEMAP_FILE)} for ${siteUrl}`);
+};
+
+main();